@@ -1,47 +1,195 @@
 // Background service worker with TypeScript
 import type {
-    Profile,
     Settings,
     FieldType,
+    FieldTypeName,
+    CompositeFieldName,
+    LearningData,
+    UserCorrection,
+    FillSession,
+    DocumentKind,
+    StoredDocument,
+    FieldFillStatus,
+    FieldFillResult,
+    FillReport,
+    OverwritePolicy,
+    FillScope,
+    MigrationReport,
+    SiteRule,
     MessageRequest,
     AutofillMessage,
+    AutofillCompleteMessage,
     DetectionMessage,
     StorageMessage,
     ExtensionError
 } from '../types/extension';
+import DocumentStore, { DOCUMENT_KINDS, MAX_DOCUMENT_SIZE } from './documents.js';
+import ProfileStore, { DEFAULT_PROFILE_ID } from './profiles.js';
+import SitePreferenceStore, { SITE_ANSWER_FIELDS } from './site-preferences.js';
+import FieldCipher from './field-cipher.js';
+import Vault, { AUTO_LOCK_ALARM, DEFAULT_AUTO_LOCK_MINUTES } from './vault.js';
+import { storageManager, SYNCABLE_KEYS } from './storage.js';
+import MigrationRunner, { CURRENT_SCHEMA_VERSION } from './migrations.js';
+
+const FIELD_TYPE_LABELS: Record<FieldTypeName, string> = {
+    firstName: 'First Name',
+    lastName: 'Last Name',
+    email: 'Email',
+    phone: 'Phone',
+    location: 'Location',
+    addressLine1: 'Address Line 1',
+    addressLine2: 'Address Line 2',
+    city: 'City',
+    state: 'State/Province',
+    postalCode: 'Postal Code',
+    country: 'Country',
+    company: 'Company',
+    jobTitle: 'Job Title',
+    linkedin: 'LinkedIn',
+    github: 'GitHub',
+    xProfile: 'X Profile',
+    googleScholar: 'Google Scholar',
+    exceptionalWork: 'Exceptional Work',
+    visaSponsorship: 'Visa Sponsorship',
+    interviewingProcesses: 'Interviewing Processes',
+    gender: 'Gender',
+    veteranStatus: 'Veteran Status',
+    hispanicLatino: 'Hispanic/Latino',
+    race: 'Race',
+    disabilityStatus: 'Disability Status'
+};
+
+const CORRECT_TYPE_PREFIX = 'correct-type:';
+
+const FILL_PROFILE_PREFIX = 'fill-profile:';
+
+const OVERWRITE_POLICIES: OverwritePolicy[] = ['empty', 'autofilled', 'always'];
+
+// Profile fields that composite types are assembled from in the page
+const COMPOSITE_SOURCES: Record<CompositeFieldName, FieldTypeName[]> = {
+    fullName: ['firstName', 'lastName'],
+    phoneCountryCode: ['phone'],
+    phoneNational: ['phone'],
+    phoneAreaCode: ['phone'],
+    phoneLocal: ['phone'],
+    phoneLocalPrefix: ['phone'],
+    phoneLocalSuffix: ['phone']
+};
+
+// Everything that hands profile data out is refused while the vault is locked
+const VAULT_GATED_ACTIONS = new Set([
+    'autofill',
+    'startFillSession',
+    'saveProfile',
+    'loadProfile',
+    'exportData',
+    'importData',
+    'getDocument',
+    'getSiteAnswers',
+    'rememberSiteAnswer',
+    'getSuggestionProfiles'
+]);
+
+// Values the user typed are left alone unless they opt into replacing them
+const DEFAULT_OVERWRITE_POLICY: OverwritePolicy = 'autofilled';
+
+interface FrameResponse {
+    frameId: number;
+    response: any;
+}
+
+interface FillSummary {
+    success: boolean;
+    filled: number;
+    frames: number;
+    errors: string[];
+    results: FieldFillResult[];
+    summary: string;
+}
+
+const SKIP_REASONS: Record<Exclude<FieldFillStatus, 'filled'>, string> = {
+    hidden: 'hidden',
+    noValue: 'no profile value',
+    hasValue: 'already filled in',
+    noOption: 'no matching option',
+    rejected: 'rejected by the page'
+};
+
+// Fields the user can act on are named in the summary; the rest are only counted
+const NAMED_SKIP_REASONS: FieldFillStatus[] = ['noOption', 'rejected'];
+const MAX_NAMED_FIELDS = 3;
+
+// The manifest ships no icons, and basic notifications refuse to show without one
+const NOTIFICATION_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+// What export writes out and import reads back. The vault config stays behind: importing one
+// would lock this device's data under a password it wasn't encrypted with.
+const EXPORTED_KEYS = ['settings', ...SYNCABLE_KEYS.filter(key => key !== 'vault')];
 
 class BackgroundManager {
     private contextMenuId: string = 'pii-autofill-menu';
-    private profiles: Profile;
     private settings: Settings;
+    private documents: DocumentStore;
+    private profileStore: ProfileStore;
+    private sitePreferences: SitePreferenceStore;
+    private vault: Vault;
+    private migrations: MigrationRunner;
+    // Menu rebuilds run one after another; overlapping ones would recreate the same ids
+    private menuUpdate: Promise<void> = Promise.resolve();
+    // Profile ids and names the menu was last built from
+    private menuProfiles: string | null = null;
+    // Settles once stored data is migrated and settings are loaded; every handler waits on it
+    private ready: Promise<void>;
+    // Per tab, the reports frames have sent for the latest fill, merged into one notification
+    private fillReports: Map<number, { fillId: string; reports: Map<number, FillReport> }>;
 
     constructor() {
-        this.profiles = { personal: {} };
         this.settings = {
             autoDetectFields: true,
             debugMode: false
         };
-        
-        this.init().catch(this.handleError);
+        this.documents = new DocumentStore();
+        this.profileStore = new ProfileStore();
+        this.sitePreferences = new SitePreferenceStore();
+        this.fillReports = new Map();
+        this.vault = new Vault();
+        this.migrations = new MigrationRunner();
+
+        // Events that wake the service worker are only delivered to listeners added in its first
+        // turn, so they're registered before anything is awaited
+        this.setupEventListeners();
+        this.ready = this.init().catch(error => this.handleError('Error starting up', error));
+        this.ready.then(() => this.createContextMenu()).catch(error => this.handleError('Error creating context menu', error));
     }
 
     private async init(): Promise<void> {
+        await this.runMigrations();
         await this.loadSettings();
-        this.setupEventListeners();
-        this.createContextMenu();
+    }
+
+    // Runs on every service worker start, which covers install, update and browser startup.
+    // A failure leaves the data alone and tells the user.
+    private async runMigrations(): Promise<void> {
+        let error: string | undefined;
+        try {
+            error = (await this.migrations.run()).error;
+        } catch (runError) {
+            error = runError instanceof Error ? runError.message : String(runError);
+        }
+
+        if (error) {
+            this.handleError('Error migrating stored data', error);
+            this.notify(`Saved data couldn't be upgraded and was left unchanged: ${error}`);
+        }
     }
 
     private async loadSettings(): Promise<void> {
         try {
-            const result = await chrome.storage.sync.get(['settings', 'profiles']);
-            
             this.settings = {
                 ...this.settings,
-                ...(result.settings || {})
+                ...(await storageManager.getSettings())
             };
             
-            this.profiles = result.profiles || { personal: {} };
-            
         } catch (error) {
             this.handleError('Error loading settings', error);
         }
@@ -52,7 +200,7 @@ class BackgroundManager {
         // Message handling
         chrome.runtime.onMessage.addListener(
             (message: MessageRequest, sender: chrome.runtime.MessageSender, sendResponse: (response: any) => void): boolean => {
-                this.handleMessage(message, sender, sendResponse);
+                this.ready.then(() => this.handleMessage(message, sender, sendResponse));
                 return true; // Keep message channel open for async responses
             }
         );
@@ -60,53 +208,139 @@ class BackgroundManager {
         // Context menu clicks
         chrome.contextMenus.onClicked.addListener((info, tab) => {
             if (tab?.id) {
-                this.handleContextMenuClick(info, tab);
+                this.ready.then(() => this.handleContextMenuClick(info, tab));
             }
         });
 
         // Keyboard shortcuts
         chrome.commands.onCommand.addListener((command) => {
-            this.handleCommand(command);
+            this.ready.then(() => this.handleCommand(command));
         });
 
         // Tab updates
         chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
             if (changeInfo.status === 'complete' && tab.url) {
                 this.updateContextMenuForTab(tab);
+                this.ready
+                    .then(() => this.resumeFillSession(tabId, tab))
+                    .catch(error => this.handleError('Error resuming fill session', error));
+            }
+        });
+
+        chrome.alarms.onAlarm.addListener((alarm) => {
+            if (alarm.name === AUTO_LOCK_ALARM) {
+                this.ready
+                    .then(() => this.lockVault())
+                    .catch(error => this.handleError('Error locking vault', error));
+            }
+        });
+
+        chrome.tabs.onRemoved.addListener((tabId) => {
+            this.fillReports.delete(tabId);
+            this.ready
+                .then(() => this.removeFillSession(tabId))
+                .catch(error => this.handleError('Error removing fill session', error));
+        });
+
+        // The popup edits profiles and settings too, so keep the settings and the menu in step
+        storageManager.subscribe(['profiles', 'settings'], (changes) => {
+            this.ready
+                .then(() => this.loadSettings())
+                .catch(error => this.handleError('Error reloading settings', error));
+            const profilesChange = changes.profiles;
+            if (profilesChange) {
+                this.ready
+                    .then(() => this.createContextMenu())
+                    .catch(error => this.handleError('Error updating context menu', error));
+                this.ready
+                    .then(() => this.removeDeletedProfileDocuments(profilesChange))
+                    .catch(error => this.handleError('Error removing profile documents', error));
             }
         });
     }
 
-    private createContextMenu(): void {
-        chrome.contextMenus.removeAll(() => {
-            chrome.contextMenus.create({
-                id: this.contextMenuId,
-                title: 'PII Autofill',
-                contexts: ['editable'],
-                documentUrlPatterns: ['http://*/*', 'https://*/*']
-            });
+    private createContextMenu(): Promise<void> {
+        this.menuUpdate = this.menuUpdate
+            .catch(() => undefined)
+            .then(() => this.rebuildContextMenu());
+        return this.menuUpdate;
+    }
+
+    // Popup autosave writes profiles in bursts, but the menu only lists their names
+    private async rebuildContextMenu(): Promise<void> {
+        const profiles = await this.profileStore.getAll();
+        const signature = JSON.stringify(Object.values(profiles).map(profile => [profile.id, profile.name]));
+        if (signature === this.menuProfiles) return;
+
+        await new Promise<void>(resolve => chrome.contextMenus.removeAll(() => resolve()));
 
+        chrome.contextMenus.create({
+            id: this.contextMenuId,
+            title: 'PII Autofill',
+            contexts: ['editable'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*']
+        });
+
+        chrome.contextMenus.create({
+            id: 'fill-site-profile',
+            parentId: this.contextMenuId,
+            title: 'Fill with Site Profile',
+            contexts: ['editable']
+        });
+
+        chrome.contextMenus.create({
+            id: 'fill-page',
+            parentId: this.contextMenuId,
+            title: 'Fill Entire Page',
+            contexts: ['editable']
+        });
+
+        for (const profile of Object.values(profiles)) {
             chrome.contextMenus.create({
-                id: 'autofill-personal',
+                id: `${FILL_PROFILE_PREFIX}${profile.id}`,
                 parentId: this.contextMenuId,
-                title: 'Fill with Personal Info',
+                title: `Fill with ${profile.name}`,
                 contexts: ['editable']
             });
+        }
+
+        chrome.contextMenus.create({
+            id: 'undo-autofill',
+            parentId: this.contextMenuId,
+            title: 'Undo Autofill',
+            contexts: ['editable']
+        });
 
+        chrome.contextMenus.create({
+            id: 'correct-type',
+            parentId: this.contextMenuId,
+            title: 'Correct Field Type',
+            contexts: ['editable']
+        });
+
+        for (const [fieldType, title] of Object.entries(FIELD_TYPE_LABELS)) {
             chrome.contextMenus.create({
-                id: 'autofill-work',
-                parentId: this.contextMenuId,
-                title: 'Fill with Work Info',
+                id: `${CORRECT_TYPE_PREFIX}${fieldType}`,
+                parentId: 'correct-type',
+                title,
                 contexts: ['editable']
             });
+        }
 
-            chrome.contextMenus.create({
-                id: 'detect-fields',
-                parentId: this.contextMenuId,
-                title: 'Detect Form Fields',
-                contexts: ['page']
-            });
+        chrome.contextMenus.create({
+            id: `${CORRECT_TYPE_PREFIX}`,
+            parentId: 'correct-type',
+            title: 'Not a Profile Field',
+            contexts: ['editable']
         });
+
+        chrome.contextMenus.create({
+            id: 'detect-fields',
+            parentId: this.contextMenuId,
+            title: 'Detect Form Fields',
+            contexts: ['page']
+        });
+        this.menuProfiles = signature;
     }
 
 
@@ -117,6 +351,17 @@ class BackgroundManager {
     ): Promise<void> {
 
         try {
+            if (VAULT_GATED_ACTIONS.has(message.action) && await this.vault.isLocked()) {
+                sendResponse({ success: false, locked: true, error: 'Vault is locked' });
+                return;
+            }
+
+            // Only the extension's own pages count as use. Content scripts ask on passive page
+            // activity, like focusing a field, which would otherwise keep pushing the auto-lock back.
+            if (!sender.tab) {
+                await this.vault.touch(this.getAutoLockMinutes());
+            }
+
             switch (message.action) {
                 case 'autofill':
                     await this.handleAutofillRequest(message as AutofillMessage, sender, sendResponse);
@@ -146,6 +391,116 @@ class BackgroundManager {
                     await this.handleCacheFieldData(message, sendResponse);
                     break;
 
+                case 'startFillSession':
+                    await this.handleStartFillSession(message, sendResponse);
+                    break;
+
+                case 'endFillSession':
+                    await this.handleEndFillSession(sendResponse);
+                    break;
+
+                case 'getFillSession':
+                    await this.handleGetFillSession(sendResponse);
+                    break;
+
+                case 'getSiteRules':
+                    await this.handleGetSiteRules(message, sendResponse);
+                    break;
+
+                case 'getLearningData':
+                    await this.handleGetLearningData(message, sendResponse);
+                    break;
+
+                case 'recordCorrection':
+                    await this.handleRecordCorrection(message, sendResponse);
+                    break;
+
+                case 'saveDocument':
+                    await this.handleSaveDocument(message, sendResponse);
+                    break;
+
+                case 'getDocument':
+                    await this.handleGetDocument(message, sendResponse);
+                    break;
+
+                case 'listDocuments':
+                    await this.handleListDocuments(message, sendResponse);
+                    break;
+
+                case 'removeDocument':
+                    await this.handleRemoveDocument(message, sendResponse);
+                    break;
+
+                case 'copyDocuments':
+                    await this.handleCopyDocuments(message, sendResponse);
+                    break;
+
+                case 'getSitePreference':
+                    await this.handleGetSitePreference(message, sendResponse);
+                    break;
+
+                case 'bindSiteProfile':
+                    await this.handleBindSiteProfile(message, sendResponse);
+                    break;
+
+                case 'setSiteOverwritePolicy':
+                    await this.handleSetSiteOverwritePolicy(message, sendResponse);
+                    break;
+
+                case 'getSiteAnswers':
+                    await this.handleGetSiteAnswers(message, sendResponse);
+                    break;
+
+                case 'rememberSiteAnswer':
+                    await this.handleRememberSiteAnswer(message, sendResponse);
+                    break;
+
+                case 'clearSiteAnswers':
+                    await this.handleClearSiteAnswers(message, sendResponse);
+                    break;
+
+                case 'getSuggestionProfiles':
+                    await this.handleGetSuggestionProfiles(message, sender, sendResponse);
+                    break;
+
+                case 'undoAutofill':
+                    await this.handleUndoAutofill(sendResponse);
+                    break;
+
+                case 'getVaultState':
+                    await this.handleGetVaultState(sendResponse);
+                    break;
+
+                case 'enableVault':
+                    await this.vault.enable(String(message.data?.password || ''), this.getAutoLockMinutes());
+                    sendResponse({ success: true });
+                    break;
+
+                case 'unlockVault': {
+                    const unlocked = await this.vault.unlock(String(message.data?.password || ''), this.getAutoLockMinutes());
+                    sendResponse(unlocked ? { success: true } : { success: false, error: 'Wrong password' });
+                    break;
+                }
+
+                case 'lockVault':
+                    await this.lockVault();
+                    sendResponse({ success: true });
+                    break;
+
+                case 'disableVault':
+                    await this.handleDisableVault(message, sendResponse);
+                    break;
+
+                case 'setSensitiveEncryption':
+                    await this.setSensitiveEncryption(Boolean(message.data?.enabled));
+                    sendResponse({ success: true });
+                    break;
+
+                case 'autofillComplete':
+                    this.handleAutofillComplete(message as AutofillCompleteMessage, sender);
+                    sendResponse({ success: true });
+                    break;
+
 
                 default:
                     sendResponse({ success: false, error: 'Unknown action' });
@@ -163,8 +518,7 @@ class BackgroundManager {
     ): Promise<void> {
         try {
             // Check if extension is enabled
-            const extensionState = await chrome.storage.local.get('extensionEnabled');
-            const isEnabled = extensionState.extensionEnabled !== false; // default to true
+            const isEnabled = (await storageManager.get('extensionEnabled')) !== false; // default to true
             
             if (!isEnabled) {
                 sendResponse({ success: false, error: 'Extension is disabled' });
@@ -173,6 +527,7 @@ class BackgroundManager {
 
             // Get active tab if not provided
             let tabId = sender.tab?.id;
+            let tabUrl = sender.tab?.url;
             if (!tabId) {
                 const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
                 if (!activeTab?.id) {
@@ -180,26 +535,30 @@ class BackgroundManager {
                     return;
                 }
                 tabId = activeTab.id;
+                tabUrl = activeTab.url;
             }
 
-            const profileType = message.profileType || 'personal';
-            let profileData = message.data;
-
-            if (!profileData) {
-                profileData = this.profiles[profileType];
-            }
+            const profileType = await this.resolveProfileId(tabUrl, message.profileType);
+            const profileData = message.data
+                ? FieldCipher.readable(message.data)
+                : await this.getProfileData(profileType);
 
 
-            // Send autofill data to content script
-            const response = await chrome.tabs.sendMessage(tabId, {
+            // Send autofill data to the content script in every frame
+            const frameResponses = await this.sendToFrames(tabId, {
                 action: 'autofill',
                 data: profileData,
+                profileType,
+                review: Boolean(this.settings.reviewBeforeFill),
+                overwritePolicy: await this.resolveOverwritePolicy(tabUrl),
+                fillId: this.createFillId(),
+                scope: message.scope || 'page',
                 fields: message.fields
             });
-            
+
             const safeResponse = {
                 success: true, 
-                response: response || { success: true }
+                response: this.aggregateFillResponses(frameResponses)
             };
             
             sendResponse(safeResponse);
@@ -226,12 +585,11 @@ class BackgroundManager {
                 tabId = activeTab.id;
             }
 
-            let response;
-            try {
-                response = await chrome.tabs.sendMessage(tabId, {
-                    action: 'getDetectedFields'
-                });
-            } catch (connectionError) {
+            const frameResponses = await this.sendToFrames(tabId, {
+                action: 'getDetectedFields'
+            });
+
+            if (frameResponses.length === 0) {
                 // Return empty response if content script not available
                 sendResponse({ 
                     success: true, 
@@ -242,6 +600,8 @@ class BackgroundManager {
                 return;
             }
 
+            const response = this.aggregateDetectionResponses(frameResponses);
+
             // Store detected fields for popup usage (with null safety)
             const fieldsToStore = {
                 tabId: tabId,
@@ -250,14 +610,13 @@ class BackgroundManager {
                 timestamp: Date.now()
             };
             
-            await chrome.storage.local.set({
-                lastDetectedFields: fieldsToStore
-            });
+            await storageManager.set('lastDetectedFields', fieldsToStore);
 
             const safeResponse = {
                 success: true, 
                 fieldTypes: Array.isArray(response?.fieldTypes) ? response.fieldTypes : [],
-                count: typeof response?.count === 'number' ? response.count : 0
+                count: typeof response?.count === 'number' ? response.count : 0,
+                frames: response.frames
             };
             
             sendResponse(safeResponse);
@@ -272,7 +631,7 @@ class BackgroundManager {
         message: StorageMessage,
         sendResponse: (response: any) => void
     ): Promise<void> {
-        const profileType = message.profileType || 'personal';
+        const profileType = message.profileType || await this.profileStore.getActiveId();
         const profileData = message.data;
 
         if (!profileData) {
@@ -280,11 +639,9 @@ class BackgroundManager {
             return;
         }
 
-        let dataToSave = profileData;
-
-        this.profiles[profileType] = { ...this.profiles[profileType], ...dataToSave };
-
-        await chrome.storage.sync.set({ profiles: this.profiles });
+        // Stored values, not getProfileData's readable ones, so values encrypted elsewhere are kept
+        const existing = (await this.profileStore.get(profileType))?.data || {};
+        await this.profileStore.saveData(profileType, { ...existing, ...profileData });
         sendResponse({ success: true });
     }
 
@@ -292,9 +649,8 @@ class BackgroundManager {
         message: StorageMessage,
         sendResponse: (response: any) => void
     ): Promise<void> {
-        const profileType = message.profileType || 'personal';
-        let profileData = this.profiles[profileType];
-
+        const profileType = message.profileType || await this.profileStore.getActiveId();
+        const profileData = await this.getProfileData(profileType);
 
         sendResponse({ success: true, data: profileData });
     }
@@ -308,8 +664,8 @@ class BackgroundManager {
         message: any,
         sendResponse: (response: any) => void
     ): Promise<void> {
-        await this.importData(message.data);
-        sendResponse({ success: true });
+        const migration = await this.importData(message.data);
+        sendResponse({ success: true, migration });
     }
 
     private async handleCacheFieldData(
@@ -317,16 +673,430 @@ class BackgroundManager {
         sendResponse: (response: any) => void
     ): Promise<void> {
         // Store field detection cache for performance
-        await chrome.storage.local.set({
-            fieldDetectionCache: {
-                ...message.data,
-                timestamp: Date.now()
+        await storageManager.set('fieldDetectionCache', {
+            ...message.data,
+            timestamp: Date.now()
+        });
+
+        sendResponse({ success: true });
+    }
+
+    private async handleStartFillSession(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!activeTab?.id || !activeTab.url) {
+            sendResponse({ success: false, error: 'No active tab found' });
+            return;
+        }
+
+        const session: FillSession = {
+            profileType: await this.resolveProfileId(activeTab.url, message.data?.profileType),
+            hostname: new URL(activeTab.url).hostname,
+            startedAt: Date.now()
+        };
+        await this.saveFillSession(activeTab.id, session);
+
+        const profileData = await this.getProfileData(session.profileType);
+        const frameResponses = await this.sendToFrames(activeTab.id, {
+            action: 'startFillSession',
+            data: profileData,
+            profileType: session.profileType,
+            overwritePolicy: await this.resolveOverwritePolicy(activeTab.url),
+            fillId: this.createFillId()
+        });
+
+        sendResponse({
+            success: true,
+            session,
+            response: this.aggregateFillResponses(frameResponses)
+        });
+    }
+
+    private async handleEndFillSession(sendResponse: (response: any) => void): Promise<void> {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!activeTab?.id) {
+            sendResponse({ success: false, error: 'No active tab found' });
+            return;
+        }
+
+        await this.removeFillSession(activeTab.id);
+        await this.sendToFrames(activeTab.id, { action: 'endFillSession' });
+        sendResponse({ success: true });
+    }
+
+    private async handleGetFillSession(sendResponse: (response: any) => void): Promise<void> {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const sessions = await this.getFillSessions();
+        const session = activeTab?.id ? sessions[activeTab.id] : undefined;
+        sendResponse({ success: true, session: session || null });
+    }
+
+    // Sessions live in storage.session so they outlast service worker restarts but not the browser
+    private async getFillSessions(): Promise<Record<string, FillSession>> {
+        return (await storageManager.get('fillSessions')) || {};
+    }
+
+    private async saveFillSession(tabId: number, session: FillSession): Promise<void> {
+        const sessions = await this.getFillSessions();
+        sessions[tabId] = session;
+        await storageManager.set('fillSessions', sessions);
+    }
+
+    private async removeFillSession(tabId: number): Promise<void> {
+        const sessions = await this.getFillSessions();
+        if (!sessions[tabId]) return;
+        delete sessions[tabId];
+        await storageManager.set('fillSessions', sessions);
+    }
+
+    // Navigations within the same site pick the session back up; leaving the site ends it
+    private async resumeFillSession(tabId: number, tab: chrome.tabs.Tab): Promise<void> {
+        const sessions = await this.getFillSessions();
+        const session = sessions[tabId];
+        if (!session || !tab.url || await this.vault.isLocked()) return;
+
+        let hostname = '';
+        try {
+            hostname = new URL(tab.url).hostname;
+        } catch {
+            hostname = '';
+        }
+
+        if (hostname !== session.hostname) {
+            await this.removeFillSession(tabId);
+            return;
+        }
+
+        const profileData = await this.getProfileData(session.profileType);
+        await this.sendToFrames(tabId, {
+            action: 'startFillSession',
+            data: profileData,
+            profileType: session.profileType,
+            overwritePolicy: await this.resolveOverwritePolicy(tab.url),
+            fillId: this.createFillId()
+        });
+    }
+
+    // An explicit choice wins, then the site's binding, then the active profile
+    private async resolveProfileId(url: string | undefined, explicitId?: string): Promise<string> {
+        if (explicitId) return explicitId;
+
+        const preference = url ? await this.sitePreferences.match(url) : null;
+        if (preference?.profileId && await this.profileStore.get(preference.profileId)) {
+            return preference.profileId;
+        }
+
+        return this.profileStore.getActiveId();
+    }
+
+    // A site's own policy wins over the global setting
+    private async resolveOverwritePolicy(url: string | undefined): Promise<OverwritePolicy> {
+        const preference = url ? await this.sitePreferences.match(url) : null;
+        return preference?.overwritePolicy || this.settings.overwritePolicy || DEFAULT_OVERWRITE_POLICY;
+    }
+
+    private async getProfileData(profileId: string): Promise<Partial<FieldType>> {
+        const profile = await this.profileStore.get(profileId);
+        return FieldCipher.readable(profile?.data || {});
+    }
+
+    // Content scripts match rules against their own frame's URL
+    // Frames ask with their own URL and get back only the rules for it, matched the way site preferences are
+    private async handleGetSiteRules(message: MessageRequest, sendResponse: (response: any) => void): Promise<void> {
+        let url: URL;
+        try {
+            url = new URL(String(message.data?.url || ''));
+        } catch {
+            sendResponse({ success: true, data: {} });
+            return;
+        }
+
+        const allRules = await storageManager.getSiteRules() as Record<string, SiteRule>;
+        const rules: Record<string, SiteRule> = {};
+        for (const [key, rule] of Object.entries(allRules)) {
+            if (SitePreferenceStore.matchesSite(rule, url)) {
+                rules[key] = rule;
+            }
+        }
+        sendResponse({ success: true, data: rules });
+    }
+
+    private async handleGetLearningData(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const hostname = String(message.data?.hostname || '');
+        const learningData: Record<string, LearningData> = (await storageManager.get('learningData')) || {};
+
+        // Signatures start with the hostname, so a frame only gets its own site's corrections
+        const siteData: Record<string, LearningData> = {};
+        for (const [signature, entry] of Object.entries(learningData)) {
+            if (signature.startsWith(`${hostname}|`)) {
+                siteData[signature] = entry;
             }
+        }
+
+        sendResponse({ success: true, data: siteData });
+    }
+
+    private async handleRecordCorrection(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const signature: string = message.data?.signature;
+        const correction: UserCorrection | undefined = message.data?.correction;
+
+        if (!signature || !correction) {
+            sendResponse({ success: false, error: 'Invalid correction' });
+            return;
+        }
+
+        const learningData: Record<string, LearningData> = (await storageManager.get('learningData')) || {};
+
+        const entry: LearningData = {
+            signature,
+            detectedType: correction.detectedType,
+            correctedType: correction.correctedType,
+            signals: correction.signals,
+            timestamp: correction.timestamp
+        };
+        if (correction.rejectedTypes) {
+            entry.rejectedTypes = correction.rejectedTypes;
+        }
+        learningData[signature] = entry;
+
+        await storageManager.set('learningData', learningData);
+        sendResponse({ success: true });
+    }
+
+    private async handleSaveDocument(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const data = message.data || {};
+        const kind = this.getDocumentKind(data.kind);
+        const dataUrl = String(data.dataUrl || '');
+
+        if (!kind || !data.name || !dataUrl.startsWith('data:')) {
+            sendResponse({ success: false, error: 'Invalid document' });
+            return;
+        }
+        if (Number(data.size) > MAX_DOCUMENT_SIZE) {
+            sendResponse({ success: false, error: 'Document is too large' });
+            return;
+        }
+
+        const entry: StoredDocument = {
+            profileType: String(data.profileType || DEFAULT_PROFILE_ID),
+            kind,
+            name: String(data.name),
+            mimeType: String(data.mimeType || 'application/octet-stream'),
+            size: Number(data.size) || 0,
+            dataUrl,
+            updatedAt: Date.now()
+        };
+        await this.documents.save(entry);
+
+        const { dataUrl: _omitted, ...info } = entry;
+        sendResponse({ success: true, data: info });
+    }
+
+    private async handleGetDocument(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const kind = this.getDocumentKind(message.data?.kind);
+        if (!kind) {
+            sendResponse({ success: false, error: 'Unknown document kind' });
+            return;
+        }
+
+        const entry = await this.documents.get(String(message.data?.profileType || DEFAULT_PROFILE_ID), kind);
+        sendResponse({ success: true, data: entry });
+    }
+
+    private async handleListDocuments(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const documents = await this.documents.list(String(message.data?.profileType || DEFAULT_PROFILE_ID));
+        sendResponse({ success: true, data: documents });
+    }
+
+    private async handleRemoveDocument(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const kind = this.getDocumentKind(message.data?.kind);
+        if (!kind) {
+            sendResponse({ success: false, error: 'Unknown document kind' });
+            return;
+        }
+
+        await this.documents.remove(String(message.data?.profileType || DEFAULT_PROFILE_ID), kind);
+        sendResponse({ success: true });
+    }
+
+    private async handleCopyDocuments(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const { fromProfile, toProfile } = message.data || {};
+        if (!fromProfile || !toProfile) {
+            sendResponse({ success: false, error: 'Missing profile' });
+            return;
+        }
+
+        await this.documents.copyAll(String(fromProfile), String(toProfile));
+        sendResponse({ success: true });
+    }
+
+    private async handleGetSitePreference(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const url = String(message.data?.url || '');
+        const preference = await this.sitePreferences.match(url);
+        sendResponse({
+            success: true,
+            data: preference,
+            profileId: await this.resolveProfileId(url)
         });
+    }
+
+    private async handleBindSiteProfile(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const hostname = String(message.data?.hostname || '');
+        if (!hostname) {
+            sendResponse({ success: false, error: 'Missing hostname' });
+            return;
+        }
+
+        const preference = await this.sitePreferences.bindProfile(hostname, message.data?.profileId || null);
+        sendResponse({ success: true, data: preference });
+    }
+
+    private async handleSetSiteOverwritePolicy(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const hostname = String(message.data?.hostname || '');
+        if (!hostname) {
+            sendResponse({ success: false, error: 'Missing hostname' });
+            return;
+        }
+
+        const policy = OVERWRITE_POLICIES.find(known => known === message.data?.policy) || null;
+        const preference = await this.sitePreferences.setOverwritePolicy(hostname, policy);
+        sendResponse({ success: true, data: preference });
+    }
+
+    // Content scripts ask with their own frame's URL, so embedded application forms get their own answers
+    private async handleGetSiteAnswers(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const preference = await this.sitePreferences.match(String(message.data?.url || ''));
+        sendResponse({ success: true, data: preference?.overrides || {} });
+    }
 
+    private async handleRememberSiteAnswer(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const { hostname, fieldType, value } = message.data || {};
+        if (!hostname || typeof fieldType !== 'string' || typeof value !== 'string') {
+            sendResponse({ success: false, error: 'Invalid answer' });
+            return;
+        }
+
+        // Content scripts send every edit that isn't a type correction; only some fields are per-site answers
+        if (!SITE_ANSWER_FIELDS.has(fieldType)) {
+            sendResponse({ success: true, remembered: false });
+            return;
+        }
+
+        await this.sitePreferences.rememberAnswer(hostname, fieldType as FieldTypeName, value);
+        sendResponse({ success: true, remembered: true });
+    }
+
+    private async handleClearSiteAnswers(
+        message: MessageRequest,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const hostname = String(message.data?.hostname || '');
+        if (!hostname) {
+            sendResponse({ success: false, error: 'Missing hostname' });
+            return;
+        }
+
+        await this.sitePreferences.clearAnswers(hostname);
         sendResponse({ success: true });
     }
 
+    // The site's profile (with its remembered answers) comes first; the rest are alternatives
+    private async handleGetSuggestionProfiles(
+        message: MessageRequest,
+        sender: chrome.runtime.MessageSender,
+        sendResponse: (response: any) => void
+    ): Promise<void> {
+        const extensionEnabled = await storageManager.get('extensionEnabled');
+        if (extensionEnabled === false || this.settings.inlineSuggestions === false) {
+            sendResponse({ success: true, data: [] });
+            return;
+        }
+
+        // Any frame can ask, cross-origin iframes included, so it only gets the values behind the focused field
+        const fieldType = String(message.data?.fieldType || '');
+        const fields: string[] = COMPOSITE_SOURCES[fieldType as CompositeFieldName] ||
+            (fieldType in FIELD_TYPE_LABELS ? [fieldType] : []);
+        if (fields.length === 0) {
+            sendResponse({ success: true, data: [] });
+            return;
+        }
+
+        // Matched on the tab's URL like fills are, so an embedded frame suggests what a fill would put there
+        const url = sender.tab?.url || '';
+        const profiles = await this.profileStore.getAll();
+        const preferredId = await this.resolveProfileId(url);
+        const preference = await this.sitePreferences.match(url);
+
+        const ordered = Object.values(profiles).sort((a, b) => Number(b.id === preferredId) - Number(a.id === preferredId));
+        const candidates = ordered.map(profile => {
+            const data: Record<string, any> = FieldCipher.readable(profile.id === preferredId ? { ...profile.data, ...(preference?.overrides || {}) } : profile.data);
+            const values: Record<string, any> = {};
+            fields.filter(field => data[field]).forEach(field => {
+                values[field] = data[field];
+            });
+            return { name: profile.name, data: values };
+        });
+
+        sendResponse({
+            success: true,
+            data: candidates.filter(candidate => Object.keys(candidate.data).length > 0)
+        });
+    }
+
+    // Documents are keyed by profile id, so a deleted profile's files would otherwise linger
+    private async removeDeletedProfileDocuments(change: chrome.storage.StorageChange): Promise<void> {
+        // Without a new value the profiles are unreadable or mid-move, not deleted
+        if (!change.oldValue || change.newValue === undefined) return;
+
+        const remaining = ProfileStore.normalize(change.newValue);
+        for (const id of Object.keys(ProfileStore.normalize(change.oldValue))) {
+            if (!remaining[id]) {
+                await this.documents.removeAll(id);
+            }
+        }
+    }
+
+    private getDocumentKind(kind: unknown): DocumentKind | null {
+        return DOCUMENT_KINDS.find(known => known === kind) || null;
+    }
 
     private async handleContextMenuClick(
         info: chrome.contextMenus.OnClickData,
@@ -334,12 +1104,25 @@ class BackgroundManager {
     ): Promise<void> {
         if (!tab.id) return;
 
+        const menuItemId = String(info.menuItemId);
+        if (menuItemId.startsWith(CORRECT_TYPE_PREFIX)) {
+            await this.correctFieldType(menuItemId.slice(CORRECT_TYPE_PREFIX.length), tab, info.frameId);
+            return;
+        }
+        if (menuItemId.startsWith(FILL_PROFILE_PREFIX)) {
+            await this.fillWithProfile(menuItemId.slice(FILL_PROFILE_PREFIX.length), tab, 'clickedForm', info.frameId);
+            return;
+        }
+
         switch (info.menuItemId) {
-            case 'autofill-personal':
-                await this.fillWithProfile('personal', tab);
+            case 'fill-site-profile':
+                await this.fillWithProfile(await this.resolveProfileId(tab.url), tab, 'clickedForm', info.frameId);
                 break;
-            case 'autofill-work':
-                await this.fillWithProfile('personal', tab);
+            case 'fill-page':
+                await this.fillWithProfile(await this.resolveProfileId(tab.url), tab, 'page');
+                break;
+            case 'undo-autofill':
+                await this.undoLastFill(tab.id);
                 break;
             case 'detect-fields':
                 await this.detectFields(tab);
@@ -353,49 +1136,178 @@ class BackgroundManager {
 
         switch (command) {
             case 'autofill':
-                await this.fillWithProfile('personal', activeTab);
+                await this.fillWithProfile(await this.resolveProfileId(activeTab.url), activeTab, 'focusedForm');
+                break;
+            case 'undo-autofill':
+                await this.undoLastFill(activeTab.id);
                 break;
         }
     }
 
-    private async fillWithProfile(profileType: keyof Profile, tab: chrome.tabs.Tab): Promise<void> {
-        if (!tab.id) return;
+    private getAutoLockMinutes(): number {
+        return this.settings.vaultAutoLockMinutes || DEFAULT_AUTO_LOCK_MINUTES;
+    }
 
+    private async handleGetVaultState(sendResponse: (response: any) => void): Promise<void> {
+        const enabled = await this.vault.isEnabled();
+        sendResponse({
+            success: true,
+            enabled,
+            locked: enabled && await this.vault.isLocked(),
+            autoLockMinutes: this.getAutoLockMinutes(),
+            encryptSensitiveFields: Boolean(this.settings.encryptSensitiveFields)
+        });
+    }
+
+    // Encrypted values would be unreadable without the password, so they're decrypted first
+    private async handleDisableVault(message: MessageRequest, sendResponse: (response: any) => void): Promise<void> {
+        const password = String(message.data?.password || '');
+        if (!await this.vault.checkPassword(password)) {
+            sendResponse({ success: false, error: 'Wrong password' });
+            return;
+        }
+
+        const settings = await storageManager.getSettings();
+        if (settings.encryptSensitiveFields) {
+            await this.setSensitiveEncryption(false);
+        }
+        await this.vault.disable(password);
+        sendResponse({ success: true });
+    }
+
+    // Rewrites stored profiles so they match the new setting in either direction
+    private async setSensitiveEncryption(enabled: boolean): Promise<void> {
+        if (enabled && !await this.vault.isEnabled()) {
+            throw new Error('Set a master password first');
+        }
+        if (await this.vault.isLocked()) {
+            throw new Error('Vault is locked');
+        }
+
+        await storageManager.saveSetting('encryptSensitiveFields', enabled);
+        this.settings.encryptSensitiveFields = enabled;
+
+        await this.profileStore.rewrite();
+    }
+
+    // Running sessions hold profile data in their pages, so locking ends them too
+    private async lockVault(): Promise<void> {
+        await this.vault.lock();
+
+        const sessions = await this.getFillSessions();
+        await Promise.all(Object.keys(sessions).map(tabId =>
+            this.sendToFrames(Number(tabId), { action: 'endFillSession' })
+        ));
+        await storageManager.set('fillSessions', {});
+    }
+
+    // Every frame a fill reaches records its snapshots under the same id so one undo reverts them all
+    private createFillId(): string {
+        return `fill-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    private async handleUndoAutofill(sendResponse: (response: any) => void): Promise<void> {
+        const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (!activeTab?.id) {
+            sendResponse({ success: false, error: 'No active tab found' });
+            return;
+        }
+
+        const restored = await this.undoLastFill(activeTab.id);
+        sendResponse({ success: restored !== null, restored: restored || 0 });
+    }
+
+    // Returns null when no frame has anything to undo
+    private async undoLastFill(tabId: number): Promise<number | null> {
         try {
-            const settings = await chrome.storage.sync.get(['settings', 'profiles']);
-            let profiles = settings.profiles || { personal: {} };
+            await this.vault.touch(this.getAutoLockMinutes());
 
+            const states = await this.sendToFrames(tabId, { action: 'getUndoState' });
 
-            const profileData = profiles[profileType] || {};
+            let latest: { id: string; at: number } | null = null;
+            for (const { response } of states) {
+                const run = response?.run;
+                if (run && (!latest || run.at > latest.at)) {
+                    latest = run;
+                }
+            }
+            if (!latest) return null;
 
-            await chrome.tabs.sendMessage(tab.id, {
-                action: 'autofill',
-                data: profileData
+            const frameResponses = await this.sendToFrames(tabId, {
+                action: 'undoAutofill',
+                runId: latest.id
             });
+            return frameResponses.reduce((total, { response }) =>
+                total + (typeof response?.restored === 'number' ? response.restored : 0), 0);
+        } catch (error) {
+            this.handleError('Error undoing autofill', error);
+            return null;
+        }
+    }
+
+    // A clicked form lives in the frame that was right-clicked; any other scope asks every frame
+    private async fillWithProfile(profileType: string, tab: chrome.tabs.Tab, scope: FillScope, frameId?: number): Promise<void> {
+        if (!tab.id) return;
+
+        try {
+            if (await this.vault.isLocked()) {
+                this.notify('Unlock PII Autofill from the toolbar to fill this page');
+                return;
+            }
+            await this.vault.touch(this.getAutoLockMinutes());
+
+            const profileData = await this.getProfileData(profileType);
+            const message = {
+                action: 'autofill',
+                data: profileData,
+                profileType,
+                scope,
+                review: Boolean(this.settings.reviewBeforeFill),
+                overwritePolicy: await this.resolveOverwritePolicy(tab.url),
+                fillId: this.createFillId()
+            };
+
+            if (scope === 'clickedForm' && frameId !== undefined) {
+                await chrome.tabs.sendMessage(tab.id, message, { frameId });
+            } else {
+                await this.sendToFrames(tab.id, message);
+            }
 
         } catch (error) {
             this.handleError('Error filling with profile', error);
         }
     }
 
+    // Only the frame that was right-clicked knows which element the correction is for
+    private async correctFieldType(correctedType: string, tab: chrome.tabs.Tab, frameId: number = 0): Promise<void> {
+        if (!tab.id) return;
+
+        try {
+            await chrome.tabs.sendMessage(tab.id, {
+                action: 'correctFieldType',
+                correctedType
+            }, { frameId });
+        } catch (error) {
+            this.handleError('Error correcting field type', error);
+        }
+    }
+
     private async detectFields(tab: chrome.tabs.Tab): Promise<void> {
         if (!tab.id) return;
 
         try {
-            const response = await chrome.tabs.sendMessage(tab.id, {
+            const frameResponses = await this.sendToFrames(tab.id, {
                 action: 'getDetectedFields'
             });
+            const response = this.aggregateDetectionResponses(frameResponses);
 
-            
             // Store detected fields for popup usage
-            await chrome.storage.local.set({
-                lastDetectedFields: {
-                    tabId: tab.id,
-                    url: tab.url,
-                    fields: response.fieldTypes || [],
-                    count: response.count || 0,
-                    timestamp: Date.now()
-                }
+            await storageManager.set('lastDetectedFields', {
+                tabId: tab.id,
+                url: tab.url,
+                fields: response.fieldTypes || [],
+                count: response.count || 0,
+                timestamp: Date.now()
             });
 
         } catch (error) {
@@ -403,6 +1315,138 @@ class BackgroundManager {
         }
     }
 
+    private async getFrameIds(tabId: number): Promise<number[]> {
+        try {
+            const frames = await chrome.webNavigation.getAllFrames({ tabId });
+            if (frames && frames.length > 0) {
+                return frames.map(frame => frame.frameId);
+            }
+        } catch (error) {
+            this.handleError('Error listing frames', error);
+        }
+
+        // Fall back to the top frame only
+        return [0];
+    }
+
+    // Messages each frame separately, since tabs.sendMessage without a frameId
+    // only resolves with whichever frame answers first
+    private async sendToFrames(tabId: number, message: any): Promise<FrameResponse[]> {
+        const frameIds = await this.getFrameIds(tabId);
+
+        const responses = await Promise.all(frameIds.map(async (frameId): Promise<FrameResponse | null> => {
+            try {
+                const response = await chrome.tabs.sendMessage(tabId, message, { frameId });
+                return { frameId, response };
+            } catch (error) {
+                // Frames the content script can't run in (chrome://, sandboxed, still loading)
+                return null;
+            }
+        }));
+
+        return responses.filter((entry): entry is FrameResponse => entry !== null);
+    }
+
+    private aggregateDetectionResponses(frameResponses: FrameResponse[]): { fieldTypes: string[]; count: number; frames: number } {
+        const fieldTypes = new Set<string>();
+        let count = 0;
+        let frames = 0;
+
+        frameResponses.forEach(({ response }) => {
+            if (!response?.success) return;
+
+            if (Array.isArray(response.fieldTypes)) {
+                response.fieldTypes.filter((f: any) => f != null).forEach((f: string) => fieldTypes.add(f));
+            }
+            const frameCount = typeof response.count === 'number' ? response.count : 0;
+            count += frameCount;
+            if (frameCount > 0) frames++;
+        });
+
+        return { fieldTypes: Array.from(fieldTypes), count, frames };
+    }
+
+    private aggregateFillResponses(frameResponses: FrameResponse[]): FillSummary {
+        const errors: string[] = [];
+        const results: FieldFillResult[] = [];
+        let filled = 0;
+        let frames = 0;
+
+        frameResponses.forEach(({ response }) => {
+            if (response?.success) {
+                const frameFilled = typeof response.filled === 'number' ? response.filled : 0;
+                filled += frameFilled;
+                if (frameFilled > 0) frames++;
+                if (Array.isArray(response.results)) {
+                    results.push(...response.results);
+                }
+            } else if (response?.error) {
+                errors.push(String(response.error));
+            }
+        });
+
+        return {
+            success: frameResponses.length > 0 && errors.length < frameResponses.length,
+            filled,
+            frames,
+            errors,
+            results,
+            summary: this.summarizeFill(results)
+        };
+    }
+
+    // e.g. "Filled 6 of 9 fields. Skipped: 2 hidden, 1 no matching option (Gender)"
+    private summarizeFill(results: FieldFillResult[]): string {
+        if (results.length === 0) return 'No fields to fill on this page';
+
+        const filled = results.filter(result => result.status === 'filled').length;
+        const skipped = (Object.keys(SKIP_REASONS) as Array<keyof typeof SKIP_REASONS>).flatMap(status => {
+            const matching = results.filter(result => result.status === status);
+            if (matching.length === 0) return [];
+
+            let part = `${matching.length} ${SKIP_REASONS[status]}`;
+            if (NAMED_SKIP_REASONS.includes(status)) {
+                const names = [...new Set(matching.map(result => this.getFieldLabel(result)))];
+                const more = names.length > MAX_NAMED_FIELDS ? ', …' : '';
+                part += ` (${names.slice(0, MAX_NAMED_FIELDS).join(', ')}${more})`;
+            }
+            return [part];
+        });
+
+        const summary = `Filled ${filled} of ${results.length} fields`;
+        return skipped.length > 0 ? `${summary}. Skipped: ${skipped.join(', ')}` : summary;
+    }
+
+    private getFieldLabel(result: FieldFillResult): string {
+        return FIELD_TYPE_LABELS[result.fieldType as FieldTypeName] || result.label || result.fieldType;
+    }
+
+    // Each frame reports on its own, so reports for the same fill are merged before notifying
+    private handleAutofillComplete(message: AutofillCompleteMessage, sender: chrome.runtime.MessageSender): void {
+        const tabId = sender.tab?.id;
+        const { fillId, report } = message;
+        if (!tabId || !report || !this.settings.fillNotifications) return;
+
+        let entry = this.fillReports.get(tabId);
+        if (!entry || entry.fillId !== fillId) {
+            entry = { fillId, reports: new Map() };
+            this.fillReports.set(tabId, entry);
+        }
+        entry.reports.set(sender.frameId ?? 0, report);
+
+        const results = [...entry.reports.values()].flatMap(frameReport => frameReport.results);
+        this.notify(this.summarizeFill(results), `fill-report-${tabId}`);
+    }
+
+    private notify(message: string, notificationId: string = ''): void {
+        chrome.notifications.create(notificationId, {
+            type: 'basic',
+            iconUrl: NOTIFICATION_ICON,
+            title: 'PII Autofill',
+            message
+        });
+    }
+
     private async updateContextMenuForTab(tab: chrome.tabs.Tab): Promise<void> {
         // Could be used to show/hide context menu based on page content
         if (!tab.url || tab.url.startsWith('chrome://')) {
@@ -413,7 +1457,7 @@ class BackgroundManager {
 
 
     private async exportAllData(): Promise<any> {
-        const result = await chrome.storage.sync.get();
+        const result = await storageManager.getMany(EXPORTED_KEYS);
         
         return {
             ...result,
@@ -422,26 +1466,51 @@ class BackgroundManager {
         };
     }
 
-    private async importData(importData: any): Promise<void> {
+    private async importData(importData: any): Promise<MigrationReport> {
         // Validate import data
         if (!importData.profiles) {
             throw new Error('Invalid import data: missing profiles');
         }
 
-        // Merge with existing data
-        const currentData = await chrome.storage.sync.get();
-        const mergedData = {
-            ...currentData,
-            ...importData,
-            importDate: new Date().toISOString()
-        };
+        // Exports from before schema versions were recorded count as version 0
+        const { values, report } = this.migrations.migrate(importData, Number(importData.schemaVersion) || 0);
+        if (report.error) {
+            throw new Error(`Import failed: ${report.error}`);
+        }
 
-        delete mergedData.exportDate; // Remove export date
-        
-        await chrome.storage.sync.set(mergedData);
+        // Keys the file doesn't mention keep their current values
+        const imported: Record<string, any> = { importDate: new Date().toISOString() };
+        for (const key of EXPORTED_KEYS) {
+            if (values[key] !== undefined) {
+                imported[key] = values[key];
+            }
+        }
+        imported.schemaVersion = CURRENT_SCHEMA_VERSION;
+
+        // Moving data between sync and local is setSyncEnabled's job, so this device keeps its choice.
+        // Encryption needs a master password here, so without one the imported setting is switched off.
+        if (imported.settings) {
+            const { syncEnabled } = await storageManager.getSettings();
+            const vaultEnabled = await this.vault.isEnabled();
+            imported.settings = {
+                ...imported.settings,
+                syncEnabled,
+                encryptSensitiveFields: Boolean(imported.settings.encryptSensitiveFields) && vaultEnabled
+            };
+        }
+
+        // Profiles go through their store after the settings are in, so their sensitive values
+        // are stored under whichever encryption setting is now in effect
+        const { profiles, sitePreferences, ...rest } = imported;
+        await storageManager.setMany(rest);
+        await this.profileStore.replaceAll(profiles);
+        if (sitePreferences) {
+            await this.sitePreferences.replaceAll(sitePreferences);
+        }
         
         // Reload settings
         await this.loadSettings();
+        return report;
     }
 
 
@@ -1,13 +1,18 @@
 // Simple field detection content script
 
-import { FieldTypeName } from '../types/extension';
+import { FieldTypeName, CompositeFieldName, DetectedFieldName, FieldSegment, DetectionResult, LearningData, UserCorrection, SiteRule, StepInfo, DocumentKind, StoredDocument, FieldFillStatus, FieldFillResult, FillReport, OverwritePolicy, FillScope } from '../types/extension';
 
 const FIELD_PATTERNS: Record<FieldTypeName, RegExp[]> = {
     firstName: [/first.*name/i, /fname/i, /first_name/i, /firstname/i, /given.*name/i, /forename/i],
     lastName: [/last.*name/i, /lname/i, /last_name/i, /lastname/i, /family.*name/i, /surname/i],
     email: [/email/i, /e.*mail/i, /mail/i, /email.*address/i, /user.*email/i],
     phone: [/phone/i, /tel/i, /telephone/i, /mobile/i, /cell/i, /phone.*number/i, /contact.*number/i],
-    location: [/location/i, /\bcity\b/i, /residence/i, /current.*city/i, /home.*city/i, /based.*in/i, /work.*location/i, /office.*location/i],
+    location: [/location/i, /residence/i, /current.*city/i, /home.*city/i, /based.*in/i, /work.*location/i, /office.*location/i],
+    addressLine1: [/address.*line.*1/i, /address1/i, /addr.*1/i, /street/i, /^\s*address\s*\*?\s*$/i, /home.*address/i, /mailing.*address/i, /postal.*address/i],
+    addressLine2: [/address.*line.*2/i, /address2/i, /addr.*2/i, /apartment/i, /\bapt\b/i, /suite/i, /\bunit\b/i, /building/i, /\bfloor\b/i],
+    city: [/\bcity\b/i, /town/i, /locality/i, /suburb/i, /municipality/i],
+    state: [/state/i, /province/i, /region/i, /prefecture/i, /territory/i, /address.*level.*1/i],
+    postalCode: [/zip/i, /postal.*code/i, /post.*code/i, /postcode/i, /pin.*code/i],
     country: [/country/i, /nation/i, /nationality/i, /country.*residence/i, /home.*country/i, /citizenship/i],
     company: [/company/i, /organization/i, /employer/i, /workplace/i, /business/i, /current.*company/i],
     jobTitle: [/job.*title/i, /position/i, /role/i, /designation/i, /occupation/i, /current.*title/i, /title/i],
@@ -25,35 +30,853 @@ const FIELD_PATTERNS: Record<FieldTypeName, RegExp[]> = {
     disabilityStatus: [/disability/i, /disabled/i, /disability.*status/i, /accommodation/i, /ada/i, /impairment/i]
 };
 
-const AUTOCOMPLETE_MAP: Record<string, FieldTypeName> = {
+const COMPOSITE_PATTERNS: Record<CompositeFieldName, RegExp[]> = {
+    fullName: [/full.*name/i, /^\s*name\s*\*?\s*$/i, /your.*name/i, /legal.*name/i, /candidate.*name/i, /applicant.*name/i],
+    phoneCountryCode: [/country.*code/i, /dial.*code/i, /calling.*code/i, /phone.*prefix/i],
+    phoneNational: [/national.*number/i],
+    phoneAreaCode: [/area.*code/i],
+    phoneLocal: [/local.*number/i],
+    phoneLocalPrefix: [/exchange/i],
+    phoneLocalSuffix: [/line.*number/i]
+};
+
+const DETECTION_PATTERNS: Record<DetectedFieldName, RegExp[]> = {
+    ...FIELD_PATTERNS,
+    ...COMPOSITE_PATTERNS
+};
+
+const AUTOCOMPLETE_MAP: Record<string, DetectedFieldName> = {
+    'name': 'fullName',
+    'tel-country-code': 'phoneCountryCode',
+    'tel-national': 'phoneNational',
+    'tel-area-code': 'phoneAreaCode',
+    'tel-local': 'phoneLocal',
+    'tel-local-prefix': 'phoneLocalPrefix',
+    'tel-local-suffix': 'phoneLocalSuffix',
     'given-name': 'firstName',
     'family-name': 'lastName',
     'email': 'email',
     'tel': 'phone',
     'organization': 'company',
     'organization-title': 'jobTitle',
-    'url': 'linkedin'
+    'street-address': 'addressLine1',
+    'address-line1': 'addressLine1',
+    'address-line2': 'addressLine2',
+    'address-level2': 'city',
+    'address-level1': 'state',
+    'postal-code': 'postalCode',
+    'country': 'country',
+    'country-name': 'country'
 };
 
-const INPUT_TYPE_MAP: Record<string, FieldTypeName> = {
-    'email': 'email',
-    'tel': 'phone',
-    'url': 'linkedin'
+// US states and Canadian provinces, so selects can be matched by name or abbreviation
+const REGION_NAMES: Record<string, string> = {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+    CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+    GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+    IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+    MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+    MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+    NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+    OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+    VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+    WY: 'Wyoming', PR: 'Puerto Rico', GU: 'Guam', VI: 'U.S. Virgin Islands',
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+    NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+    ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+// An input type can only narrow the candidates, so it boosts every type it fits
+const INPUT_TYPE_MAP: Record<string, FieldTypeName[]> = {
+    'email': ['email'],
+    'tel': ['phone'],
+    'url': ['linkedin', 'github', 'xProfile', 'googleScholar']
+};
+
+// Text that matches a field pattern but means something else
+const NEGATIVE_PATTERNS: Partial<Record<DetectedFieldName, RegExp[]>> = {
+    firstName: [/user.*name/i, /company.*name/i, /file.*name/i],
+    lastName: [/user.*name/i, /company.*name/i],
+    email: [/email\s+me\b/i, /newsletter/i, /subscribe/i, /mailing.*address/i, /postal.*address/i, /home.*address/i],
+    phone: [/tell us about/i, /hotel/i, /intel/i, /telegram/i],
+    location: [/relocat/i],
+    addressLine1: [/e.?mail/i, /address.?line.?2|address2|addr.?2/i, /ip.?address/i, /web.?address/i, /url/i],
+    addressLine2: [/e.?mail/i],
+    city: [/current.*city/i, /home.*city/i, /location/i],
+    state: [/statement/i, /united.?states/i, /estate/i],
+    country: [/country.*code/i, /dial.*code/i, /calling.*code/i],
+    fullName: [/first/i, /last/i, /middle/i, /user.*name/i, /nick.*name/i, /display.*name/i, /company/i, /employer/i, /school/i, /file/i, /card/i, /reference/i],
+    company: [/company.*size/i, /company.*website/i, /company.*name.*reference/i],
+    jobTitle: [/salutation/i, /honorific/i, /prefix/i, /page.*title/i, /title.*of.*(work|piece|project)/i],
+    gender: [/essex/i, /sussex/i, /middlesex/i],
+    race: [/trace/i, /grace/i, /embrace/i, /bracelet/i],
+    disabilityStatus: [/canada/i, /adapt/i, /nevada/i, /grenada/i, /academ/i]
+};
+
+// Points each signal adds to a field type it points at
+const SIGNAL_WEIGHTS = {
+    autocomplete: 100,
+    type: 50,
+    label: 45,
+    nameId: 40,
+    placeholder: 30,
+    className: 10
+};
+
+const NEGATIVE_PENALTY = 60;
+
+const CONFIDENCE_THRESHOLDS = {
+    high: 70,
+    medium: 35,
+    low: 20
+};
+
+// Two candidates closer than this are treated as a tie and left undetected
+const AMBIGUITY_MARGIN = 15;
+
+interface FieldSignals {
+    autocomplete: string;
+    type: string;
+    label: string;
+    nameId: string;
+    placeholder: string;
+    className: string;
+}
+
+interface FilledValue {
+    type: DetectedFieldName;
+    value: string;
+}
+
+interface ScoredCandidate {
+    type: DetectedFieldName;
+    score: number;
+    method: DetectionResult['method'];
+}
+
+// ARIA widgets (react-select, MUI, Headless UI) standing in for a native select
+const CUSTOM_DROPDOWN_SELECTOR = '[role="combobox"], [aria-haspopup="listbox"]';
+
+// Where searchable dropdowns (react-select and the like) show the choice next to their empty input
+const DROPDOWN_VALUE_SELECTOR = '[class*="singleValue" i], [class*="single-value" i], [class*="multiValue" i], [class*="multi-value" i], [class*="selected-value" i], [class*="selection-item" i]';
+
+const DROPDOWN_PLACEHOLDER_SELECTOR = '[class*="placeholder" i]';
+
+const FORM_FIELD_SELECTOR = `input, textarea, select, ${CUSTOM_DROPDOWN_SELECTOR}`;
+
+// How long a custom dropdown gets to render its options after opening
+const OPTION_WAIT_TIMEOUT = 1500;
+
+const CHOICE_INPUT_SELECTOR = 'input[type="radio"], input[type="checkbox"]';
+
+// Containers that scope a set of radios/checkboxes to one question
+const CHOICE_GROUP_SELECTOR = 'fieldset, [role="radiogroup"], [role="group"]';
+
+// How far above the options to look for question text when there's no legend
+const MAX_QUESTION_DEPTH = 3;
+
+// Which stored document an upload field is asking for
+const DOCUMENT_PATTERNS: Record<DocumentKind, RegExp[]> = {
+    coverLetter: [/cover[\s_-]*letter/i, /covering\s+letter/i, /motivation(al)?\s+letter/i],
+    resume: [/resume/i, /résumé/i, /\bcv\b/i, /curriculum.*vitae/i]
 };
 
+// Upload areas that may not expose a file input until they're clicked
+const DROPZONE_SELECTOR = '[class*="dropzone" i], [class*="drop-zone" i], [data-testid*="dropzone" i]';
+
+// Pages without a <form> usually still group each form's fields with its submit button
+const FORM_CONTAINER_SELECTOR = 'form, [role="form"]';
+
+// Only explicit submit controls: typeless buttons are just as often show-password, clear or
+// picker toggles, and inside a real <form> the form itself is the scope anyway
+const SUBMIT_SELECTOR = 'button[type="submit"], input[type="submit"]';
+
+const FILLING_STYLES = `
+    .pii-autofill-filling {
+        background-color: #E8F5E8 !important;
+        transition: background-color 0.3s ease !important;
+    }
+`;
+
+// Inputs this short are treated as one box of a split number (phone, postal code)
+const MAX_SEGMENT_LENGTH = 4;
+
+// Delay between consecutive fields so pages can react to each change
+const FILL_INTERVAL = 100;
+
+// Quiet period after DOM changes before a fill session looks for new fields
+const SESSION_SETTLE_DELAY = 300;
+
+// Upper bound on next-button clicks per pass, in case a wizard never stops revealing steps
+const MAX_SESSION_STEPS = 10;
+
+// Attributes wizards toggle to reveal the next step
+const VISIBILITY_ATTRIBUTES = ['class', 'style', 'hidden', 'aria-hidden'];
+
+interface DocumentTarget {
+    element: HTMLElement;
+    kind: DocumentKind;
+    file: File;
+}
+
+interface ChoiceGroup {
+    inputs: HTMLInputElement[];
+    question: string;
+}
+
+interface FillSessionState {
+    data: Record<string, any>;
+    filled: WeakSet<HTMLElement>;
+    advancedSteps: Set<string>;
+    fillId: string;
+    // Documents fetched by earlier rounds; each can be megabytes, so it's only sent over once
+    documents: Map<DocumentKind, Promise<File | null>>;
+}
+
+// What an element held before a fill touched it
+type FillSnapshot =
+    | { kind: 'value'; element: ValueElement; previous: string; filled: string }
+    | { kind: 'checked'; inputs: HTMLInputElement[]; previous: boolean[] }
+    | { kind: 'files'; element: HTMLInputElement; previous: File[] }
+    | { kind: 'dropdown'; element: HTMLElement; type: DetectedFieldName; previous: string; filled: string };
+
+// Fills that share an id (every frame of one fill, every step of a session) are undone together
+interface UndoRun {
+    id: string;
+    at: number;
+    snapshots: FillSnapshot[];
+}
+
+const MAX_UNDO_RUNS = 20;
+
+class SiteRulesEngine {
+    private rules: SiteRule[];
+
+    constructor() {
+        this.rules = [];
+    }
+
+    async load(): Promise<void> {
+        try {
+            // Background matches the rules to this frame, the same way it matches site preferences
+            const response = await chrome.runtime.sendMessage({ action: 'getSiteRules', data: { url: location.href } });
+            const rules: Record<string, SiteRule> = response?.success ? (response.data || {}) : {};
+            this.rules = Object.values(rules);
+        } catch (error) {
+            this.rules = [];
+        }
+    }
+
+    hasRules(): boolean {
+        return this.rules.length > 0;
+    }
+
+    getSelectorMappings(): Array<[DetectedFieldName, string]> {
+        const mappings: Array<[DetectedFieldName, string]> = [];
+        this.rules.forEach(rule => {
+            for (const [fieldType, selector] of Object.entries(rule.selectors || {})) {
+                if (selector) {
+                    mappings.push([fieldType as FieldTypeName, selector]);
+                }
+            }
+
+            (rule.steps || []).forEach(step => {
+                for (const [selector, config] of Object.entries(step.fields || {})) {
+                    if (config?.type in DETECTION_PATTERNS) {
+                        mappings.push([config.type as DetectedFieldName, selector]);
+                    }
+                }
+            });
+        });
+        return mappings;
+    }
+
+    // The first configured step whose container is currently shown
+    getCurrentStep(): StepInfo | null {
+        for (const rule of this.rules) {
+            for (const step of rule.steps || []) {
+                const container = this.safeQuery(step.step);
+                if (container && (container as HTMLElement).offsetParent !== null) {
+                    return step;
+                }
+            }
+        }
+        return null;
+    }
+
+    isSkippedInStep(step: StepInfo, element: Element): boolean {
+        return (step.skipFields || []).some(selector => this.safeMatches(element, selector));
+    }
+
+    isExcluded(element: Element): boolean {
+        return this.rules.some(rule =>
+            (rule.exclusions || []).some(selector => this.safeMatches(element, selector))
+        );
+    }
+
+    getDelay(fieldType: DetectedFieldName): number {
+        return this.rules.reduce((delay, rule) => {
+            const delays: Record<string, number | undefined> = rule.delays || {};
+            return Math.max(delay, Number(delays[fieldType]) || 0);
+        }, 0);
+    }
+
+    private safeQuery(selector: string): Element | null {
+        try {
+            return document.querySelector(selector);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    private safeMatches(element: Element, selector: string): boolean {
+        try {
+            return element.matches(selector);
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+// How long the page gets to re-render before we check that a value stuck
+const VERIFY_DELAY = 50;
+
+type ValueElement = HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement;
+
+interface MatchableOption {
+    text: string;
+    value: string;
+}
+
+// Sets values the way a user edit would, so framework-controlled inputs (React, Vue, Angular) keep them
+class ValueSetter {
+    async setValue(element: ValueElement, value: string): Promise<boolean> {
+        this.setNativeValue(element, value);
+        this.dispatchInput(element, 'insertReplacementText', value);
+        this.dispatch(element, 'change');
+        await this.waitForRender();
+
+        if (!this.valueKept(element, value) && !(element instanceof HTMLSelectElement)) {
+            // The framework reset the value, so type it the slow way
+            await this.typeValue(element, value);
+            await this.waitForRender();
+        }
+
+        this.dispatchBlur(element);
+        return this.valueKept(element, value);
+    }
+
+    // Types a search query into a combobox so it renders matching options
+    typeQuery(element: HTMLInputElement, query: string): void {
+        this.setNativeValue(element, query);
+        this.dispatchInput(element, 'insertText', query);
+    }
+
+    // React tracks the last value it saw on the element itself; going through the prototype
+    // setter bypasses that tracker so the following input event registers as a change
+    setNativeValue(element: ValueElement, value: string): void {
+        const prototype = element instanceof HTMLTextAreaElement
+            ? HTMLTextAreaElement.prototype
+            : element instanceof HTMLSelectElement
+                ? HTMLSelectElement.prototype
+                : HTMLInputElement.prototype;
+        const setter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+        if (setter) {
+            setter.call(element, value);
+        } else {
+            element.value = value;
+        }
+    }
+
+    private async typeValue(element: HTMLInputElement | HTMLTextAreaElement, value: string): Promise<void> {
+        element.focus();
+        this.setNativeValue(element, '');
+        this.dispatchInput(element, 'deleteContentBackward', null);
+
+        let typed = '';
+        for (const char of value) {
+            this.dispatchKey(element, 'keydown', char);
+            this.dispatchKey(element, 'keypress', char);
+
+            const beforeInput = new InputEvent('beforeinput', {
+                bubbles: true,
+                composed: true,
+                cancelable: true,
+                inputType: 'insertText',
+                data: char
+            });
+            if (element.dispatchEvent(beforeInput)) {
+                typed += char;
+                this.setNativeValue(element, typed);
+                this.dispatchInput(element, 'insertText', char);
+            }
+
+            this.dispatchKey(element, 'keyup', char);
+        }
+
+        this.dispatch(element, 'change');
+    }
+
+    private valueKept(element: ValueElement, value: string): boolean {
+        return element.value === value;
+    }
+
+    private dispatchInput(element: ValueElement, inputType: string, data: string | null): void {
+        element.dispatchEvent(new InputEvent('input', { bubbles: true, composed: true, inputType, data }));
+    }
+
+    private dispatchKey(element: ValueElement, type: string, key: string): void {
+        element.dispatchEvent(new KeyboardEvent(type, { bubbles: true, composed: true, cancelable: true, key }));
+    }
+
+    private dispatch(element: ValueElement, type: string): void {
+        element.dispatchEvent(new Event(type, { bubbles: true, composed: true }));
+    }
+
+    private dispatchBlur(element: ValueElement): void {
+        element.dispatchEvent(new FocusEvent('blur', { composed: true }));
+        element.dispatchEvent(new FocusEvent('focusout', { bubbles: true, composed: true }));
+    }
+
+    private waitForRender(): Promise<void> {
+        return new Promise(resolve => setTimeout(resolve, VERIFY_DELAY));
+    }
+}
+
+const REVIEW_PANEL_STYLES = `
+    :host {
+        all: initial;
+    }
+    .panel {
+        position: fixed;
+        top: 16px;
+        right: 16px;
+        z-index: 2147483647;
+        width: 380px;
+        max-height: calc(100vh - 32px);
+        display: flex;
+        flex-direction: column;
+        background: #000000;
+        color: #ffffff;
+        border: 1px solid #ffffff;
+        font: 13px 'Courier New', monospace;
+        box-shadow: 0 8px 24px rgba(0, 0, 0, 0.4);
+    }
+    header, footer {
+        padding: 12px 16px;
+        border-bottom: 1px solid #ffffff;
+        text-transform: uppercase;
+        letter-spacing: 1px;
+    }
+    footer {
+        display: flex;
+        gap: 8px;
+        border-top: 1px solid #ffffff;
+        border-bottom: none;
+    }
+    ul {
+        margin: 0;
+        padding: 0;
+        list-style: none;
+        overflow-y: auto;
+    }
+    li {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        gap: 4px 8px;
+        padding: 8px 16px;
+        border-bottom: 1px solid #333333;
+    }
+    li.skipped .value {
+        opacity: 0.4;
+    }
+    .label {
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    .type {
+        color: #888888;
+        font-size: 11px;
+        text-transform: uppercase;
+    }
+    .value {
+        grid-column: 2;
+        box-sizing: border-box;
+        width: 100%;
+        padding: 6px;
+        background: #000000;
+        color: #ffffff;
+        border: 1px solid #888888;
+        font: inherit;
+    }
+    button {
+        flex: 1;
+        padding: 8px;
+        background: #000000;
+        color: #ffffff;
+        border: 1px solid #ffffff;
+        font: inherit;
+        text-transform: uppercase;
+        cursor: pointer;
+    }
+    button:hover {
+        background: #ffffff;
+        color: #000000;
+    }
+`;
+
+interface ReviewItem {
+    element: HTMLElement;
+    label: string;
+    type: string;
+    value: string;
+    editable: boolean;
+}
+
+// In-page list of what a fill is about to write. Lives in a closed shadow root so
+// neither the page's CSS nor its scripts can reach into it.
+class ReviewPanel {
+    private host: HTMLElement | null = null;
+    private resolvePending: ((items: ReviewItem[] | null) => void) | null = null;
+
+    // Resolves with the checked items and their edited values, or null if cancelled
+    open(items: ReviewItem[]): Promise<ReviewItem[] | null> {
+        this.close();
+
+        return new Promise(resolve => {
+            this.resolvePending = resolve;
+
+            this.host = document.createElement('pii-autofill-review');
+            const root = this.host.attachShadow({ mode: 'closed' });
+
+            const style = document.createElement('style');
+            style.textContent = REVIEW_PANEL_STYLES;
+
+            const panel = document.createElement('div');
+            panel.className = 'panel';
+            panel.setAttribute('role', 'dialog');
+            panel.setAttribute('aria-label', 'Review autofill');
+
+            const header = document.createElement('header');
+            header.textContent = `Review ${items.length} field${items.length === 1 ? '' : 's'}`;
+
+            const list = document.createElement('ul');
+            const rows = items.map(item => this.createRow(item));
+            list.append(...rows.map(row => row.element));
+
+            const cancelButton = document.createElement('button');
+            cancelButton.textContent = 'Cancel';
+            cancelButton.addEventListener('click', () => this.finish(null));
+
+            const fillButton = document.createElement('button');
+            fillButton.textContent = 'Fill Selected';
+            fillButton.addEventListener('click', () => {
+                this.finish(rows.filter(row => row.checkbox.checked).map(row => ({
+                    ...row.item,
+                    value: row.input.value
+                })));
+            });
+
+            const footer = document.createElement('footer');
+            footer.append(cancelButton, fillButton);
+
+            panel.append(header, list, footer);
+            panel.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') this.finish(null);
+            });
+
+            root.append(style, panel);
+            document.documentElement.appendChild(this.host);
+            fillButton.focus();
+        });
+    }
+
+    close(): void {
+        this.finish(null);
+    }
+
+    private createRow(item: ReviewItem): { element: HTMLElement; item: ReviewItem; checkbox: HTMLInputElement; input: HTMLInputElement } {
+        const element = document.createElement('li');
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.addEventListener('change', () => {
+            element.classList.toggle('skipped', !checkbox.checked);
+        });
+
+        const description = document.createElement('div');
+        const label = document.createElement('div');
+        label.className = 'label';
+        label.textContent = item.label || item.type;
+        label.title = item.label;
+        const type = document.createElement('div');
+        type.className = 'type';
+        type.textContent = item.type;
+        description.append(label, type);
+
+        const input = document.createElement('input');
+        input.className = 'value';
+        input.value = item.value;
+        input.readOnly = !item.editable;
+
+        // Point at the page field the row is about
+        element.addEventListener('mouseenter', () => {
+            item.element.style.outline = '2px solid #4CAF50';
+        });
+        element.addEventListener('mouseleave', () => {
+            item.element.style.outline = '';
+        });
+
+        element.append(checkbox, description, input);
+        return { element, item, checkbox, input };
+    }
+
+    private finish(result: ReviewItem[] | null): void {
+        this.host?.remove();
+        this.host = null;
+
+        const resolve = this.resolvePending;
+        this.resolvePending = null;
+        resolve?.(result);
+    }
+}
+
+const SUGGESTION_STYLES = `
+    :host {
+        all: initial;
+    }
+    ul {
+        position: fixed;
+        z-index: 2147483647;
+        margin: 0;
+        padding: 0;
+        list-style: none;
+        min-width: 220px;
+        max-width: 360px;
+        background: #000000;
+        border: 1px solid #ffffff;
+        font: 13px 'Courier New', monospace;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.3);
+    }
+    li {
+        padding: 6px 10px;
+        color: #ffffff;
+        cursor: pointer;
+    }
+    li.active,
+    li:hover {
+        background: #ffffff;
+        color: #000000;
+    }
+    .value {
+        display: block;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    .profile {
+        font-size: 11px;
+        opacity: 0.6;
+    }
+`;
+
+interface Suggestion {
+    value: string;
+    profileName: string;
+}
+
+// Browser-autofill-style list under a focused field, in a closed shadow root like the review panel
+class SuggestionDropdown {
+    private host: HTMLElement | null = null;
+    private list: HTMLUListElement | null = null;
+    private target: HTMLElement | null = null;
+    private suggestions: Suggestion[] = [];
+    private activeIndex = -1;
+    private onPick: ((suggestion: Suggestion) => void) | null = null;
+
+    show(target: HTMLElement, suggestions: Suggestion[], onPick: (suggestion: Suggestion) => void): void {
+        this.hide();
+        if (suggestions.length === 0) return;
+
+        this.target = target;
+        this.suggestions = suggestions;
+        this.onPick = onPick;
+        this.activeIndex = -1;
+
+        this.host = document.createElement('pii-autofill-suggestions');
+        const root = this.host.attachShadow({ mode: 'closed' });
+
+        const style = document.createElement('style');
+        style.textContent = SUGGESTION_STYLES;
+
+        this.list = document.createElement('ul');
+        this.list.setAttribute('role', 'listbox');
+        suggestions.forEach((suggestion, index) => {
+            const item = document.createElement('li');
+            item.setAttribute('role', 'option');
+
+            const value = document.createElement('span');
+            value.className = 'value';
+            value.textContent = suggestion.value;
+            const profile = document.createElement('span');
+            profile.className = 'profile';
+            profile.textContent = suggestion.profileName;
+            item.append(value, profile);
+
+            // mousedown rather than click, and without taking focus from the field
+            item.addEventListener('mousedown', (event) => {
+                event.preventDefault();
+                this.pick(index);
+            });
+            this.list!.appendChild(item);
+        });
+
+        const rect = target.getBoundingClientRect();
+        this.list.style.left = `${rect.left}px`;
+        this.list.style.top = `${rect.bottom + 2}px`;
+        this.list.style.width = `${Math.max(rect.width, 220)}px`;
+
+        root.append(style, this.list);
+        document.documentElement.appendChild(this.host);
+    }
+
+    hide(): void {
+        this.host?.remove();
+        this.host = null;
+        this.list = null;
+        this.target = null;
+        this.onPick = null;
+    }
+
+    isOpenFor(element: EventTarget | undefined): boolean {
+        return !!this.host && element === this.target;
+    }
+
+    // Returns whether the key was used by the dropdown
+    handleKey(event: KeyboardEvent): boolean {
+        if (!this.host) return false;
+
+        switch (event.key) {
+            case 'ArrowDown':
+                this.setActive((this.activeIndex + 1) % this.suggestions.length);
+                return true;
+            case 'ArrowUp':
+                this.setActive((this.activeIndex - 1 + this.suggestions.length) % this.suggestions.length);
+                return true;
+            case 'Enter':
+                if (this.activeIndex < 0) return false;
+                this.pick(this.activeIndex);
+                return true;
+            case 'Escape':
+                this.hide();
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    private setActive(index: number): void {
+        this.activeIndex = index;
+        Array.from(this.list?.children || []).forEach((item, itemIndex) => {
+            item.classList.toggle('active', itemIndex === index);
+        });
+    }
+
+    private pick(index: number): void {
+        const suggestion = this.suggestions[index];
+        const onPick = this.onPick;
+        this.hide();
+        if (suggestion && onPick) {
+            onPick(suggestion);
+        }
+    }
+}
+
 class FieldDetector {
-    private detectedFields: Map<HTMLElement, FieldTypeName>;
+    private detectedFields: Map<HTMLElement, DetectionResult>;
+    private observer: MutationObserver | null;
+    private observedRoots: WeakSet<Node>;
+    private styledRoots: WeakSet<ShadowRoot>;
+    // Every element the extension restyles: detected fields and each input of their groups
+    private highlightedFields: WeakSet<HTMLElement>;
+    private learnedFields: Map<string, LearningData>;
+    private filledValues: Map<HTMLElement, FilledValue>;
+    private choiceGroups: Map<HTMLElement, ChoiceGroup>;
+    private documentFields: Map<HTMLElement, DocumentKind>;
+    private profileType: string;
+    private overwritePolicy: OverwritePolicy;
+    private reviewPanel: ReviewPanel;
+    private suggestionDropdown: SuggestionDropdown;
+    private undoStack: UndoRun[];
+    private lastUserData: Record<string, any>;
+    private lastContextTarget: HTMLElement | null;
+    private siteRules: SiteRulesEngine;
+    private valueSetter: ValueSetter;
+    private session: FillSessionState | null;
+    private sessionTimer: ReturnType<typeof setTimeout> | null;
+    private sessionRunning: boolean;
 
     constructor() {
         this.detectedFields = new Map();
+        this.observer = null;
+        this.observedRoots = new WeakSet();
+        this.styledRoots = new WeakSet();
+        this.highlightedFields = new WeakSet();
+        this.learnedFields = new Map();
+        this.filledValues = new Map();
+        this.choiceGroups = new Map();
+        this.documentFields = new Map();
+        this.profileType = 'personal';
+        this.overwritePolicy = 'autofilled';
+        this.reviewPanel = new ReviewPanel();
+        this.suggestionDropdown = new SuggestionDropdown();
+        this.undoStack = [];
+        this.lastUserData = {};
+        this.lastContextTarget = null;
+        this.siteRules = new SiteRulesEngine();
+        this.valueSetter = new ValueSetter();
+        this.session = null;
+        this.sessionTimer = null;
+        this.sessionRunning = false;
         this.init();
     }
 
     private init(): void {
+        this.setupMutationObserver();
         this.scanForFields();
         this.setupEventListeners();
-        this.setupMutationObserver();
+        this.setupCorrectionTracking();
+        this.setupSuggestions();
         this.addStyles();
+        this.loadLearningData();
+        this.loadSiteRules();
+    }
+
+    private async loadSiteRules(): Promise<void> {
+        await this.siteRules.load();
+        if (this.siteRules.hasRules()) {
+            this.scanForFields();
+        }
+    }
+
+    private async loadLearningData(): Promise<void> {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getLearningData',
+                data: { hostname: location.hostname }
+            });
+
+            if (response?.success && response.data) {
+                this.learnedFields = new Map(Object.entries(response.data as Record<string, LearningData>));
+                this.scanForFields();
+            }
+        } catch (error) {
+            // Detection keeps working on heuristics alone
+        }
     }
 
     private fuzzyMatch(text: string, patterns: RegExp[]): boolean {
@@ -62,37 +885,140 @@ class FieldDetector {
         return patterns.some(pattern => pattern.test(text) || pattern.test(normalizedText));
     }
 
-    private getFieldType(element: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement): FieldTypeName | null {
-        const name = element.getAttribute('name') || '';
-        const id = element.id || '';
-        const placeholder = (element as HTMLInputElement).placeholder || '';
-        const type = (element as HTMLInputElement).type || '';
-        const autocomplete = element.getAttribute('autocomplete') || '';
-        const className = element.className || '';
+    private getFieldType(element: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement): DetectionResult | null {
+        const signals = this.collectSignals(element);
+
+        // A type the user picked for this field on this site beats any heuristic
+        const learned = this.learnedFields.get(this.getFieldSignature(element, signals));
+        if (learned?.correctedType && learned.correctedType in DETECTION_PATTERNS) {
+            return {
+                type: learned.correctedType as DetectedFieldName,
+                confidence: 'learned',
+                score: 100,
+                isLearned: true,
+                method: 'learned'
+            };
+        }
+
+        const rejectedTypes = learned?.rejectedTypes || [];
+        const candidates = this.scoreCandidates(signals)
+            .filter(candidate => !rejectedTypes.includes(candidate.type));
 
+        const [best, runnerUp] = candidates;
+        if (!best || best.score < CONFIDENCE_THRESHOLDS.low) {
+            return null;
+        }
 
-        // Check autocomplete first
-        if (autocomplete && AUTOCOMPLETE_MAP[autocomplete]) {
-            return AUTOCOMPLETE_MAP[autocomplete];
+        // Leave ties unfilled rather than letting pattern order decide
+        if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+            return null;
         }
 
-        // Check input type
-        if (type && INPUT_TYPE_MAP[type]) {
-            return INPUT_TYPE_MAP[type];
+        return {
+            type: best.type,
+            confidence: this.getConfidenceLevel(best.score),
+            score: best.score,
+            method: best.method
+        };
+    }
+
+    private getFieldSignature(element: HTMLElement, signals: FieldSignals): string {
+        const key = element.getAttribute('name') || element.id || '';
+        const label = signals.label.toLowerCase().replace(/[*:]/g, '').replace(/\s+/g, ' ').trim();
+        return [location.hostname, key, label].join('|');
+    }
+
+    private collectSignals(element: HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement): FieldSignals {
+        // A group is described by its question, not by the label of its first option
+        const group = this.choiceGroups.get(element);
+        if (group) {
+            return {
+                autocomplete: '',
+                type: (element as HTMLInputElement).type,
+                label: group.question,
+                nameId: element.getAttribute('name') || '',
+                placeholder: '',
+                className: ''
+            };
         }
 
-        const label = this.getAssociatedLabel(element);
-        const allText = [name, id, placeholder, label, className].join(' ');
+        return {
+            autocomplete: (element.getAttribute('autocomplete') || '').toLowerCase(),
+            type: ((element as HTMLInputElement).type || '').toLowerCase(),
+            label: this.getAssociatedLabel(element),
+            nameId: [element.getAttribute('name') || '', element.id || ''].join(' ').trim(),
+            placeholder: (element as HTMLInputElement).placeholder || '',
+            className: typeof element.className === 'string' ? element.className : ''
+        };
+    }
+
+    private scoreCandidates(signals: FieldSignals): ScoredCandidate[] {
+        const scores = new Map<DetectedFieldName, { score: number; method: DetectionResult['method']; best: number }>();
 
-        // Check all patterns
-        for (const fieldType of Object.keys(FIELD_PATTERNS) as FieldTypeName[]) {
-            const patterns = FIELD_PATTERNS[fieldType];
-            if (this.fuzzyMatch(allText, patterns)) {
-                return fieldType;
+        const addScore = (fieldType: DetectedFieldName, points: number, method: DetectionResult['method']): void => {
+            const entry = scores.get(fieldType) || { score: 0, method, best: 0 };
+            entry.score += points;
+            if (points > entry.best) {
+                entry.best = points;
+                entry.method = method;
             }
+            scores.set(fieldType, entry);
+        };
+
+        // Autocomplete may carry section/shipping/home prefixes, so check every token
+        const autocompleteType = signals.autocomplete
+            .split(/\s+/)
+            .map(token => AUTOCOMPLETE_MAP[token])
+            .find((fieldType): fieldType is DetectedFieldName => !!fieldType);
+        if (autocompleteType) {
+            addScore(autocompleteType, SIGNAL_WEIGHTS.autocomplete, 'autocomplete');
         }
 
-        return null;
+        // autocomplete="url" says no more than type="url" about which profile it wants
+        const inputType = signals.autocomplete.split(/\s+/).includes('url') ? 'url' : signals.type;
+        (INPUT_TYPE_MAP[inputType] || []).forEach(fieldType => {
+            addScore(fieldType, SIGNAL_WEIGHTS.type, 'type');
+        });
+
+        const textSignals: Array<[string, number]> = [
+            [signals.label, SIGNAL_WEIGHTS.label],
+            [signals.nameId, SIGNAL_WEIGHTS.nameId],
+            [signals.placeholder, SIGNAL_WEIGHTS.placeholder],
+            [signals.className, SIGNAL_WEIGHTS.className]
+        ];
+
+        for (const fieldType of Object.keys(DETECTION_PATTERNS) as DetectedFieldName[]) {
+            const patterns = DETECTION_PATTERNS[fieldType];
+            for (const [text, weight] of textSignals) {
+                if (this.fuzzyMatch(text, patterns)) {
+                    addScore(fieldType, weight, 'pattern');
+                }
+            }
+        }
+
+        const allText = textSignals.map(([text]) => text).join(' ');
+        scores.forEach((entry, fieldType) => {
+            const negatives = NEGATIVE_PATTERNS[fieldType];
+            if (negatives && negatives.some(pattern => pattern.test(allText))) {
+                entry.score -= NEGATIVE_PENALTY;
+            }
+        });
+
+        return Array.from(scores.entries())
+            .map(([type, entry]) => ({ type, score: entry.score, method: entry.method }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    private getConfidenceLevel(score: number): DetectionResult['confidence'] {
+        if (score >= CONFIDENCE_THRESHOLDS.high) return 'high';
+        if (score >= CONFIDENCE_THRESHOLDS.medium) return 'medium';
+        if (score >= CONFIDENCE_THRESHOLDS.low) return 'low';
+        return 'none';
+    }
+
+    private isFillable(result: DetectionResult): boolean {
+        return result.confidence !== 'low' && result.confidence !== 'none';
     }
 
     private getAssociatedLabel(element: HTMLElement): string {
@@ -103,11 +1029,25 @@ class FieldDetector {
             return label ? (label.textContent || '') : '';
         }
 
+        // Labels inside a shadow root can only point at inputs in that same root
+        const root = element.getRootNode() as Document | ShadowRoot;
         if (element.id) {
-            const label = document.querySelector(`label[for="${element.id}"]`);
+            const label = root.querySelector(`label[for="${CSS.escape(element.id)}"]`);
             if (label) return label.textContent || '';
         }
 
+        // ARIA widgets usually name themselves via aria-labelledby, often listing their own id too
+        const labelledBy = (element.getAttribute('aria-labelledby') || '')
+            .split(/\s+/)
+            .filter(id => id && id !== element.id)
+            .map(id => root.getElementById(id)?.textContent || '')
+            .join(' ')
+            .trim();
+        if (labelledBy) return labelledBy;
+
+        const ariaLabel = element.getAttribute('aria-label');
+        if (ariaLabel) return ariaLabel;
+
         const parentLabel = element.closest('label');
         if (parentLabel) return parentLabel.textContent || '';
 
@@ -121,6 +1061,7 @@ class FieldDetector {
 
     private isFormField(element: HTMLElement): boolean {
         if (!element.tagName) return false;
+        if (this.isCustomDropdown(element)) return true;
         const tagName = element.tagName.toLowerCase();
         if (tagName === 'input') {
             const type = ((element as HTMLInputElement).type || 'text').toLowerCase();
@@ -129,23 +1070,419 @@ class FieldDetector {
         return tagName === 'textarea' || tagName === 'select';
     }
 
-    private scanForFields(): void {
-        this.detectedFields.clear();
-        const formElements = document.querySelectorAll('input, textarea, select');
+    // Collects matches from the root and every open shadow root nested below it
+    private querySelectorAllDeep(root: Document | ShadowRoot | Element, selector: string): Element[] {
+        const results = Array.from(root.querySelectorAll(selector));
 
-        formElements.forEach(element => {
+        root.querySelectorAll('*').forEach(element => {
+            if (element.shadowRoot) {
+                this.observeRoot(element.shadowRoot);
+                results.push(...this.querySelectorAllDeep(element.shadowRoot, selector));
+            }
+        });
+
+        return results;
+    }
+
+    private isCustomDropdown(element: HTMLElement): boolean {
+        return !(element instanceof HTMLSelectElement) && element.matches(CUSTOM_DROPDOWN_SELECTOR);
+    }
+
+    private scanForFields(): void {
+        this.detectedFields.clear();
+        this.applySiteRuleSelectors();
+
+        const formElements = this.querySelectorAllDeep(document, FORM_FIELD_SELECTOR);
+
+        formElements.forEach(element => {
             const htmlElement = element as HTMLElement;
+            if (this.detectedFields.has(htmlElement) || this.siteRules.isExcluded(htmlElement)) {
+                return;
+            }
             if (this.isFormField(htmlElement)) {
-                const fieldType = this.getFieldType(htmlElement as HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement);
-                if (fieldType) {
-                    this.detectedFields.set(htmlElement, fieldType);
+                const result = this.getFieldType(htmlElement as HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement);
+                if (result) {
+                    this.detectedFields.set(htmlElement, result);
                     this.addFieldHighlighting(htmlElement);
                 }
             }
         });
+
+        this.detectSegmentGroups();
+        this.detectChoiceGroups();
+        this.detectDocumentFields();
+    }
+
+    private detectDocumentFields(): void {
+        this.documentFields.clear();
+
+        const inputs = this.querySelectorAllDeep(document, 'input[type="file"]') as HTMLInputElement[];
+        inputs.forEach(input => {
+            if (this.siteRules.isExcluded(input)) return;
+            const kind = this.getDocumentKind(input);
+            if (kind) {
+                this.documentFields.set(input, kind);
+            }
+        });
+
+        // Dropzones holding an input are handled through that input
+        this.querySelectorAllDeep(document, DROPZONE_SELECTOR).forEach(element => {
+            const zone = element as HTMLElement;
+            if (inputs.some(input => zone.contains(input)) || zone.parentElement?.closest(DROPZONE_SELECTOR)) return;
+
+            const kind = this.getDocumentKind(zone);
+            if (kind) {
+                this.documentFields.set(zone, kind);
+            }
+        });
+    }
+
+    // Tries the field's own description first, then widens to surrounding text until
+    // exactly one kind matches; text mentioning both kinds can't decide
+    private getDocumentKind(element: HTMLElement): DocumentKind | null {
+        const texts = [
+            this.getAssociatedLabel(element),
+            [element.getAttribute('name') || '', element.id].join(' ')
+        ];
+
+        let ancestor = element.closest(DROPZONE_SELECTOR) || element.parentElement;
+        for (let depth = 0; ancestor && depth < MAX_QUESTION_DEPTH; depth++, ancestor = ancestor.parentElement) {
+            texts.push(ancestor.textContent || '');
+        }
+
+        for (const text of texts) {
+            const kinds = (Object.keys(DOCUMENT_PATTERNS) as DocumentKind[])
+                .filter(kind => DOCUMENT_PATTERNS[kind].some(pattern => pattern.test(text)));
+            if (kinds.length === 1) return kinds[0]!;
+            if (kinds.length > 1) return null;
+        }
+
+        return null;
+    }
+
+    // Radios and checkboxes answer one question together, so each group is detected
+    // and filled as a single field keyed by its first input
+    private detectChoiceGroups(): void {
+        this.choiceGroups.clear();
+        const groups = new Map<Node, Map<string, HTMLInputElement[]>>();
+
+        this.querySelectorAllDeep(document, CHOICE_INPUT_SELECTOR).forEach(element => {
+            const input = element as HTMLInputElement;
+            if (this.siteRules.isExcluded(input)) return;
+
+            const container = input.closest(CHOICE_GROUP_SELECTOR);
+            if (!container && !input.name) return;
+
+            const scope = container || input.form || input.getRootNode();
+            const byName = groups.get(scope) || new Map<string, HTMLInputElement[]>();
+            byName.set(input.name, [...(byName.get(input.name) || []), input]);
+            groups.set(scope, byName);
+        });
+
+        groups.forEach((byName, scope) => {
+            byName.forEach(inputs => {
+                const [representative] = inputs;
+                if (!representative || inputs.length < 2) return;
+
+                // A container shared by several questions can't describe any one of them
+                const container = scope instanceof Element && scope.matches(CHOICE_GROUP_SELECTOR) && byName.size === 1 ? scope : null;
+                this.choiceGroups.set(representative, {
+                    inputs,
+                    question: this.getGroupQuestion(container, inputs)
+                });
+
+                const result = this.getFieldType(representative);
+                if (result) {
+                    this.detectedFields.set(representative, result);
+                    inputs.forEach(input => this.addFieldHighlighting(input));
+                }
+            });
+        });
+    }
+
+    private getGroupQuestion(container: Element | null, inputs: HTMLInputElement[]): string {
+        if (container) {
+            const legend = container.querySelector(':scope > legend');
+            if (legend?.textContent?.trim()) return legend.textContent;
+
+            const label = this.getAssociatedLabel(container as HTMLElement);
+            if (label.trim()) return label;
+        }
+
+        // Otherwise the question is whatever text sits around the options
+        const optionTexts = new Set(inputs.map(input => this.normalizeText(this.getOptionLabel(input))));
+        let ancestor = this.getCommonAncestor(inputs);
+        for (let depth = 0; ancestor && depth < MAX_QUESTION_DEPTH; depth++, ancestor = ancestor.parentElement) {
+            const text = this.getTextExcluding(ancestor, optionTexts);
+            if (text) return text;
+        }
+
+        return '';
+    }
+
+    private getCommonAncestor(elements: HTMLElement[]): HTMLElement | null {
+        let ancestor = elements[0]?.parentElement || null;
+        while (ancestor && !elements.every(element => ancestor!.contains(element))) {
+            ancestor = ancestor.parentElement;
+        }
+        return ancestor;
     }
 
+    private getTextExcluding(container: Element, excluded: Set<string>): string {
+        const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+        const parts: string[] = [];
+
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const text = this.normalizeText(node.textContent || '');
+            if (!text || excluded.has(text) || node.parentElement?.closest('script, style')) continue;
+            parts.push(node.textContent!.trim());
+        }
+
+        return parts.join(' ');
+    }
+
+    private getOptionLabel(input: HTMLInputElement): string {
+        const label = input.labels?.[0]?.textContent || input.getAttribute('aria-label') || '';
+        if (label.trim()) return label.trim();
+
+        // Unlabelled options are usually followed by their text
+        const text = input.nextSibling?.textContent || '';
+        return text.trim() || input.value;
+    }
+
+    // Maps a click on any option (or its label) back to the group's key element
+    private resolveChoiceGroup(element: HTMLElement): HTMLElement {
+        const input = element instanceof HTMLInputElement ? element : element.closest('label')?.control;
+        for (const [representative, group] of this.choiceGroups) {
+            if (group.inputs.includes(input as HTMLInputElement)) return representative;
+        }
+        return element;
+    }
+
+    // Form scopes fill only what shares a form with the anchor field, and nothing in frames that don't hold it
+    private getScopeFilter(scope: FillScope): ((element: HTMLElement) => boolean) | undefined {
+        if (scope === 'page') return undefined;
+
+        const anchor = scope === 'clickedForm' ? this.lastContextTarget : this.getFocusedElement();
+        if (!anchor || anchor instanceof HTMLIFrameElement || anchor.tagName === 'FRAME') {
+            return () => false;
+        }
+
+        // A shortcut pressed with nothing but the page focused fills the whole page
+        if (!this.isFormField(anchor) && !this.detectedFields.has(this.resolveChoiceGroup(anchor))) {
+            return undefined;
+        }
+
+        // With no form around it, the anchor's own field or choice group is the whole scope
+        const container = this.getFormScope(anchor);
+        if (!container) {
+            const own = this.resolveChoiceGroup(anchor);
+            return (element) => element === own;
+        }
+        return (element) => this.containsComposed(container, element);
+    }
+
+    private getFocusedElement(): HTMLElement | null {
+        if (!document.hasFocus()) return null;
+
+        let active = document.activeElement;
+        while (active?.shadowRoot?.activeElement) {
+            active = active.shadowRoot.activeElement;
+        }
+        return active instanceof HTMLElement ? active : null;
+    }
+
+    // The nearest form wins over any closer container that merely holds a submit button
+    private getFormScope(anchor: HTMLElement): Element | null {
+        const ancestors: Element[] = [];
+        for (let node = this.getComposedParent(anchor); node && node !== document.body; node = this.getComposedParent(node)) {
+            ancestors.push(node);
+        }
+
+        return ancestors.find(node => node.matches(FORM_CONTAINER_SELECTOR))
+            || ancestors.find(node => node.querySelector(SUBMIT_SELECTOR))
+            || null;
+    }
+
+    // Steps out of shadow roots too, so a field inside a web component still finds its form
+    private getComposedParent(element: Element): Element | null {
+        if (element.parentElement) return element.parentElement;
+        const root = element.getRootNode();
+        return root instanceof ShadowRoot ? root.host : null;
+    }
+
+    private containsComposed(container: Element, element: Element): boolean {
+        for (let node: Element | null = element; node; node = this.getComposedParent(node)) {
+            if (node === container) return true;
+        }
+        return false;
+    }
+
+    // Styled radios usually hide the input itself and show its label instead
+    private isVisibleField(element: HTMLElement): boolean {
+        const group = this.choiceGroups.get(element);
+        const targets: HTMLElement[] = group
+            ? group.inputs.flatMap(input => [input, ...Array.from(input.labels || [])])
+            : [element];
+        return targets.some(target => target.offsetParent !== null);
+    }
+
+    private hasValue(element: HTMLElement): boolean {
+        const group = this.choiceGroups.get(element);
+        if (group) return group.inputs.some(input => input.checked);
+        if (this.isCustomDropdown(element)) return this.getDropdownSelection(element) !== '';
+        if (element instanceof HTMLSelectElement) {
+            const option = element.selectedOptions[0];
+            if (option === undefined || this.isPlaceholderOption(option)) return false;
+            // Browsers show the first option when nothing was chosen; it's only an answer if the page made it the default
+            return element.selectedIndex > 0 || option.defaultSelected;
+        }
+        return !!(element as HTMLInputElement).value;
+    }
+
+    // What a custom dropdown currently shows as chosen, or '' while it only shows its placeholder
+    private getDropdownSelection(element: HTMLElement): string {
+        const activeId = element.getAttribute('aria-activedescendant');
+        const active = activeId ? (element.getRootNode() as Document | ShadowRoot).getElementById(activeId) : null;
+        if (active?.getAttribute('aria-selected') === 'true') {
+            return this.normalizeText(active.textContent || '');
+        }
+
+        if (element instanceof HTMLInputElement && element.value.trim()) {
+            return this.normalizeText(element.value);
+        }
+
+        let node: HTMLElement | null = element.parentElement;
+        for (let depth = 0; node && depth < 3; depth++, node = node.parentElement) {
+            const shown = node.querySelector(DROPDOWN_VALUE_SELECTOR);
+            if (shown?.textContent?.trim()) {
+                return this.normalizeText(shown.textContent);
+            }
+        }
+
+        // A div combobox shows its choice as its own text, or a placeholder until there is one
+        if (!(element instanceof HTMLInputElement)) {
+            const placeholder = element.querySelector(DROPDOWN_PLACEHOLDER_SELECTOR)?.textContent || '';
+            const text = this.normalizeText((element.textContent || '').replace(placeholder, ''));
+            if (text && !/^\W*(select|choose|please)\b/i.test(text)) {
+                return text;
+            }
+        }
+        return '';
+    }
+
+    // "Select...", "-- Choose --" and empty options stand in for no answer
+    private isPlaceholderOption(option: HTMLOptionElement): boolean {
+        return !option.value.trim() || /^\W*(select|choose|please)\b/i.test(option.text.trim());
+    }
+
+    private getCurrentValue(element: HTMLElement): string {
+        const group = this.choiceGroups.get(element);
+        if (group) return group.inputs.find(input => input.checked)?.value || '';
+        if (this.isCustomDropdown(element)) return this.getDropdownSelection(element);
+        return String((element as HTMLInputElement).value || '').trim();
+    }
+
+    // Empty fields are always filled; otherwise the policy decides whose value may be replaced
+    private mayOverwrite(element: HTMLElement): boolean {
+        if (this.overwritePolicy === 'always' || !this.hasValue(element)) return true;
+        if (this.overwritePolicy === 'empty') return false;
+
+        const filled = this.filledValues.get(element);
+        return filled !== undefined && this.getCurrentValue(element) === filled.value.trim();
+    }
+
+    // Split inputs (three boxes for a phone number) only have one box that looks like the field,
+    // so the short inputs next to it are pulled in and each gets its slice of the value
+    private detectSegmentGroups(): void {
+        const grouped = new Set<HTMLElement>();
+
+        this.detectedFields.forEach((result, element) => {
+            if (grouped.has(element) || result.segment || !this.isSegmentInput(element)) return;
+
+            const group = this.findSegmentGroup(element as HTMLInputElement, result.type);
+            if (!group) return;
+
+            const lengths = group.map(input => input.maxLength);
+            group.forEach((input, index) => {
+                grouped.add(input);
+                this.detectedFields.set(input, { ...result, segment: { index, lengths } });
+                this.addFieldHighlighting(input);
+            });
+        });
+    }
+
+    private isSegmentInput(element: Element): element is HTMLInputElement {
+        return element instanceof HTMLInputElement &&
+            ['text', 'tel', 'number', ''].includes(element.type) &&
+            element.maxLength >= 1 && element.maxLength <= MAX_SEGMENT_LENGTH;
+    }
+
+    private findSegmentGroup(element: HTMLInputElement, fieldType: DetectedFieldName): HTMLInputElement[] | null {
+        let container = element.parentElement;
+
+        // Boxes are often wrapped individually, so look a few levels up for their shared parent
+        for (let depth = 0; container && depth < 3; depth++, container = container.parentElement) {
+            const inputs = Array.from(container.querySelectorAll('input'));
+            if (inputs.length < 2) continue;
+
+            const belongs = (input: HTMLInputElement | undefined): input is HTMLInputElement => {
+                if (!input || !this.isSegmentInput(input)) return false;
+                const detected = this.detectedFields.get(input);
+                return !detected || detected.type === fieldType;
+            };
+
+            const index = inputs.indexOf(element);
+            let start = index;
+            let end = index;
+            while (belongs(inputs[start - 1])) start--;
+            while (belongs(inputs[end + 1])) end++;
+
+            return end > start ? inputs.slice(start, end + 1) : null;
+        }
+
+        return null;
+    }
+
+    // Selectors pinned by a site rule win over heuristics for the elements they match
+    private applySiteRuleSelectors(): void {
+        this.siteRules.getSelectorMappings().forEach(([fieldType, selector]) => {
+            let elements: Element[] = [];
+            try {
+                elements = this.querySelectorAllDeep(document, selector);
+            } catch (error) {
+                return; // Invalid selector in a stored rule
+            }
+
+            elements.forEach(element => {
+                const htmlElement = element as HTMLElement;
+                if (this.siteRules.isExcluded(htmlElement)) return;
+
+                this.detectedFields.set(htmlElement, {
+                    type: fieldType,
+                    confidence: 'high',
+                    score: 100,
+                    method: 'rule'
+                });
+                this.addFieldHighlighting(htmlElement);
+            });
+        });
+    }
+
+    // Rescans detect the same fields again, so each one is only set up once
     private addFieldHighlighting(element: HTMLElement): void {
+        if (this.highlightedFields.has(element)) return;
+        this.highlightedFields.add(element);
+
+        // Styles reach into a shadow root only when one of its fields needs them, so other
+        // components on the page stay untouched
+        const root = element.getRootNode();
+        if (root instanceof ShadowRoot && !this.styledRoots.has(root)) {
+            this.styledRoots.add(root);
+            this.injectStyles(root);
+        }
+
         element.addEventListener('mouseenter', () => {
             (element as any).style.transition = 'border-color 0.2s ease';
             (element as any).style.borderColor = '#4CAF50';
@@ -164,8 +1501,11 @@ class FieldDetector {
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
             if (message.action === 'autofill') {
-                this.autofillFields(message.data).then(() => {
-                    const safeResponse = JSON.parse(JSON.stringify({ success: true }));
+                this.profileType = message.profileType || 'personal';
+                this.overwritePolicy = message.overwritePolicy || 'autofilled';
+                const shouldFill = this.getScopeFilter(message.scope || 'page');
+                this.autofillFields(message.data, shouldFill, Boolean(message.review), message.fillId).then((report) => {
+                    const safeResponse = JSON.parse(JSON.stringify({ success: true, filled: report.filled, results: report.results }));
                     sendResponse(safeResponse);
                 }).catch(error => {
                     const safeResponse = JSON.parse(JSON.stringify({ 
@@ -176,7 +1516,7 @@ class FieldDetector {
                 });
                 return true; // Keep message channel open for async response
             } else if (message.action === 'getDetectedFields') {
-                const fieldTypes = Array.from(this.detectedFields.values()).filter(type => type != null && type !== undefined);
+                const fieldTypes = Array.from(this.detectedFields.values()).map(result => result.type).filter(type => type != null && type !== undefined);
                 const uniqueFieldTypes = [...new Set(fieldTypes)].filter(type => type != null);
                 
                 const safeResponse = JSON.parse(JSON.stringify({ 
@@ -186,21 +1526,231 @@ class FieldDetector {
                 }));
                 
                 sendResponse(safeResponse);
+            } else if (message.action === 'startFillSession') {
+                this.profileType = message.profileType || 'personal';
+                this.overwritePolicy = message.overwritePolicy || 'autofilled';
+                this.startSession(message.data, message.fillId).then((filled) => {
+                    sendResponse({ success: true, filled });
+                }).catch(error => {
+                    sendResponse({ success: false, error: String(error?.message || 'Unknown error') });
+                });
+                return true;
+            } else if (message.action === 'endFillSession') {
+                this.endSession();
+                sendResponse({ success: true });
+            } else if (message.action === 'correctFieldType') {
+                const recorded = this.correctContextTarget(message.correctedType);
+                sendResponse({ success: recorded });
+            } else if (message.action === 'getUndoState') {
+                const run = this.undoStack[this.undoStack.length - 1];
+                sendResponse({ success: true, run: run ? { id: run.id, at: run.at } : null });
+            } else if (message.action === 'undoAutofill') {
+                this.undoFill(message.runId).then((restored) => {
+                    sendResponse({ success: true, restored });
+                }).catch(error => {
+                    sendResponse({ success: false, error: String(error?.message || 'Unknown error') });
+                });
+                return true;
             }
             
             return true; // Keep message channel open for async responses
         });
     }
 
+    private setupCorrectionTracking(): void {
+        // composedPath()[0] is the real target, even inside a shadow root
+        document.addEventListener('contextmenu', (event) => {
+            const target = event.composedPath()[0];
+            this.lastContextTarget = target instanceof HTMLElement ? target : null;
+        }, true);
+
+        document.addEventListener('change', (event) => {
+            if (!event.isTrusted) return;
+            const target = event.composedPath()[0];
+            if (target instanceof HTMLElement) {
+                this.handleUserEdit(target);
+            }
+        }, true);
+    }
+
+    private setupSuggestions(): void {
+        document.addEventListener('focusin', (event) => {
+            const target = event.composedPath()[0];
+            if (target instanceof HTMLElement) {
+                this.showSuggestions(target);
+            }
+        }, true);
+
+        document.addEventListener('focusout', () => {
+            this.suggestionDropdown.hide();
+        }, true);
+
+        document.addEventListener('keydown', (event) => {
+            if (!this.suggestionDropdown.isOpenFor(event.composedPath()[0])) return;
+            if (this.suggestionDropdown.handleKey(event)) {
+                event.preventDefault();
+                event.stopPropagation();
+            }
+        }, true);
+
+        // A fixed-position list would drift away from the field
+        window.addEventListener('scroll', () => this.suggestionDropdown.hide(), true);
+        window.addEventListener('resize', () => this.suggestionDropdown.hide());
+    }
+
+    // Only plain text fields get suggestions; selects, groups and uploads have their own UI
+    private async showSuggestions(element: HTMLElement): Promise<void> {
+        const result = this.detectedFields.get(element);
+        const isTextField = (element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement) &&
+            !this.choiceGroups.has(element) && !this.isCustomDropdown(element);
+        if (!result || !isTextField || !this.isFillable(result) || element.value) return;
+
+        const suggestions = await this.getSuggestions(result);
+        // Focus may have moved on while the profiles were loading
+        if (!element.matches(':focus') || element.value) return;
+
+        this.suggestionDropdown.show(element, suggestions, (suggestion) => {
+            this.beginUndoRun(`suggestion-${Date.now()}`);
+            this.fillField(element, suggestion.value, result.type);
+        });
+    }
+
+    // Site profile first, then the others, without repeating a value
+    private async getSuggestions(result: DetectionResult): Promise<Suggestion[]> {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getSuggestionProfiles',
+                data: { fieldType: result.type }
+            });
+            const profiles: Array<{ name: string; data: Record<string, any> }> = response?.success ? (response.data || []) : [];
+
+            const suggestions: Suggestion[] = [];
+            profiles.forEach(profile => {
+                let value = this.resolveValue(result.type, profile.data);
+                if (value && result.segment) {
+                    value = this.getSegmentValue(value, result.segment);
+                }
+                if (value && !suggestions.some(suggestion => suggestion.value === value)) {
+                    suggestions.push({ value, profileName: profile.name });
+                }
+            });
+            return suggestions;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    // An edit to a value we filled that matches another profile value means we picked the wrong type
+    private handleUserEdit(element: HTMLElement): void {
+        const filled = this.filledValues.get(element);
+        // Groups are keyed by their first input, and a dropdown's input is often empty, so neither
+        // value says anything about the choice; mayOverwrite compares what they show instead
+        if (!filled || this.choiceGroups.has(element) || this.isCustomDropdown(element)) return;
+
+        const newValue = String((element as HTMLInputElement).value || '').trim();
+        if (newValue === filled.value) return;
+        this.filledValues.delete(element);
+        if (!newValue) return;
+
+        const correctedType = (Object.keys(this.lastUserData) as FieldTypeName[]).find(fieldType =>
+            fieldType !== filled.type &&
+            String(this.lastUserData[fieldType] || '').trim().toLowerCase() === newValue.toLowerCase()
+        );
+
+        if (correctedType) {
+            this.recordCorrection(element, filled.type, correctedType);
+        } else {
+            // A value from nowhere in the profile may be this site's own answer; background keeps
+            // it only for the fields listed in SITE_ANSWER_FIELDS
+            this.rememberSiteAnswer(filled.type as FieldTypeName, newValue);
+        }
+    }
+
+    private rememberSiteAnswer(fieldType: FieldTypeName, value: string): void {
+        chrome.runtime.sendMessage({
+            action: 'rememberSiteAnswer',
+            data: { hostname: location.hostname, fieldType, value }
+        }).catch(() => {
+            // Only future fills on this site are affected
+        });
+    }
+
+    private async loadSiteAnswers(): Promise<Record<string, string>> {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getSiteAnswers',
+                data: { url: location.href }
+            });
+            return response?.success ? (response.data || {}) : {};
+        } catch (error) {
+            return {};
+        }
+    }
+
+    private correctContextTarget(correctedType: string): boolean {
+        const element = this.lastContextTarget && this.resolveChoiceGroup(this.lastContextTarget);
+        if (!element || !(this.isFormField(element) || this.choiceGroups.has(element))) return false;
+
+        const detectedType = this.detectedFields.get(element)?.type || '';
+        this.recordCorrection(element, detectedType, correctedType);
+        return true;
+    }
+
+    // An empty correctedType means "not a profile field": the detected type is rejected instead
+    private recordCorrection(element: HTMLElement, detectedType: string, correctedType: string): void {
+        const signals = this.collectSignals(element as HTMLInputElement);
+        const signature = this.getFieldSignature(element, signals);
+        const previous = this.learnedFields.get(signature);
+
+        const correction: UserCorrection = {
+            detectedType,
+            correctedType,
+            timestamp: Date.now(),
+            signals
+        };
+        if (!correctedType && detectedType) {
+            correction.rejectedTypes = [...new Set([...(previous?.rejectedTypes || []), detectedType])];
+        }
+
+        const entry: LearningData = {
+            signature,
+            detectedType,
+            correctedType,
+            signals,
+            timestamp: correction.timestamp
+        };
+        if (correction.rejectedTypes) {
+            entry.rejectedTypes = correction.rejectedTypes;
+        }
+        this.learnedFields.set(signature, entry);
+
+        const result = this.getFieldType(element as HTMLInputElement);
+        if (result) {
+            this.detectedFields.set(element, result);
+        } else {
+            this.detectedFields.delete(element);
+        }
+
+        chrome.runtime.sendMessage({
+            action: 'recordCorrection',
+            data: { signature, correction }
+        }).catch(() => {
+            // The correction still applies for this page
+        });
+    }
+
     private setupMutationObserver(): void {
-        const observer = new MutationObserver((mutations) => {
+        this.observer = new MutationObserver((mutations) => {
             let shouldRescan = false;
+            let visibilityChanged = false;
             mutations.forEach(mutation => {
-                if (mutation.type === 'childList') {
+                if (mutation.type === 'attributes') {
+                    visibilityChanged ||= !this.isOwnStyling(mutation);
+                } else if (mutation.type === 'childList') {
                     mutation.addedNodes.forEach(node => {
                         if (node.nodeType === Node.ELEMENT_NODE) {
                             const element = node as Element;
-                            const hasFormFields = element.querySelectorAll('input, textarea, select').length > 0;
+                            const hasFormFields = this.querySelectorAllDeep(element, FORM_FIELD_SELECTOR).length > 0;
                             if (hasFormFields || this.isFormField(element as HTMLElement)) {
                                 shouldRescan = true;
                             }
@@ -212,135 +1762,806 @@ class FieldDetector {
             if (shouldRescan) {
                 setTimeout(() => this.scanForFields(), 100);
             }
+
+            // A revealed step or freshly rendered form is the cue to keep filling
+            if (this.session && (shouldRescan || visibilityChanged)) {
+                this.scheduleSessionFill();
+            }
         });
 
-        observer.observe(document.body, {
+        this.observeRoot(document.body);
+    }
+
+    // The extension restyles the fields it highlights (fill flash, hover border, review outline),
+    // group inputs included; treating that as the page changing would start another session round
+    private isOwnStyling(mutation: MutationRecord): boolean {
+        return (mutation.attributeName === 'class' || mutation.attributeName === 'style') &&
+            this.highlightedFields.has(mutation.target as HTMLElement);
+    }
+
+    // Mutations don't cross shadow boundaries, so each open shadow root gets observed on its own
+    private observeRoot(root: Node): void {
+        if (!this.observer || this.observedRoots.has(root)) return;
+        this.observedRoots.add(root);
+
+        this.observer.observe(root, {
             childList: true,
-            subtree: true
+            subtree: true,
+            attributes: true,
+            attributeFilter: VISIBILITY_ATTRIBUTES
         });
     }
 
     private addStyles(): void {
+        this.injectStyles(document.head);
+    }
+
+    private injectStyles(target: Node): void {
         const style = document.createElement('style');
-        style.textContent = `
-            .pii-autofill-filling {
-                background-color: #E8F5E8 !important;
-                transition: background-color 0.3s ease !important;
+        style.textContent = FILLING_STYLES;
+        target.appendChild(style);
+    }
+
+    private sleep(ms: number): Promise<void> {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    // Resolves to whether the page kept the value
+    private async fillField(element: HTMLElement, value: string, fieldType: DetectedFieldName): Promise<FieldFillStatus> {
+        let status: FieldFillStatus = 'rejected';
+        const snapshot = this.takeSnapshot(element, fieldType);
+        element.classList.add('pii-autofill-filling');
+        (element as HTMLInputElement).focus();
+
+        const group = this.choiceGroups.get(element);
+        if (group) {
+            status = this.fillChoiceGroup(group, value, fieldType);
+            if (status === 'filled') {
+                this.filledValues.set(element, { type: fieldType, value: this.getCurrentValue(element) });
+            }
+        } else if (this.isCustomDropdown(element)) {
+            status = await this.fillCustomDropdown(element, value, fieldType);
+            if (status === 'filled') {
+                this.filledValues.set(element, { type: fieldType, value: this.getDropdownSelection(element) });
+            }
+        } else if (element.tagName.toLowerCase() === 'select') {
+            const selectEl = element as HTMLSelectElement;
+            
+            const options = Array.from(selectEl.options).map(opt => ({ text: opt.textContent || '', value: opt.value }));
+            const option = selectEl.options[this.findMatchingOption(options, value, fieldType)];
+
+            if (!option) {
+                status = 'noOption';
+            } else if (await this.valueSetter.setValue(selectEl, option.value)) {
+                status = 'filled';
+                this.filledValues.set(element, { type: fieldType, value: option.value });
+            }
+        } else if (await this.valueSetter.setValue(element as HTMLInputElement | HTMLTextAreaElement, value)) {
+            status = 'filled';
+            this.filledValues.set(element, { type: fieldType, value: String(value).trim() });
+        }
+
+        if (status === 'filled' && snapshot) {
+            this.recordSnapshot(snapshot);
+        }
+
+        setTimeout(() => {
+            element.classList.remove('pii-autofill-filling');
+        }, 500);
+
+        return status;
+    }
+
+    // Dropzones have no state we can put back, so they aren't snapshotted. Custom dropdowns keep
+    // the choice they showed, which undo picks again the same way a fill does.
+    private takeSnapshot(element: HTMLElement, fieldType?: DetectedFieldName): FillSnapshot | null {
+        const group = this.choiceGroups.get(element);
+        if (group) {
+            return { kind: 'checked', inputs: group.inputs, previous: group.inputs.map(input => input.checked) };
+        }
+        if (this.isCustomDropdown(element)) {
+            return fieldType
+                ? { kind: 'dropdown', element, type: fieldType, previous: this.getDropdownSelection(element), filled: '' }
+                : null;
+        }
+        if (element instanceof HTMLInputElement && element.type === 'file') {
+            return { kind: 'files', element, previous: Array.from(element.files || []) };
+        }
+        if (element instanceof HTMLInputElement || element instanceof HTMLTextAreaElement || element instanceof HTMLSelectElement) {
+            return { kind: 'value', element, previous: element.value, filled: '' };
+        }
+        return null;
+    }
+
+    private recordSnapshot(snapshot: FillSnapshot): void {
+        if (snapshot.kind === 'value') {
+            snapshot.filled = snapshot.element.value;
+        } else if (snapshot.kind === 'dropdown') {
+            snapshot.filled = this.getDropdownSelection(snapshot.element);
+        }
+        this.undoStack[this.undoStack.length - 1]?.snapshots.push(snapshot);
+    }
+
+    private beginUndoRun(id: string): void {
+        // A run that filled nothing isn't worth an undo step
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (last && last.snapshots.length === 0) {
+            this.undoStack.pop();
+        }
+
+        this.undoStack.push({ id, at: Date.now(), snapshots: [] });
+        if (this.undoStack.length > MAX_UNDO_RUNS) {
+            this.undoStack.shift();
+        }
+    }
+
+    // Restores newest first so an element filled twice ends up with its original value
+    private async undoFill(runId: string): Promise<number> {
+        let restored = 0;
+
+        while (this.undoStack.length > 0 && this.undoStack[this.undoStack.length - 1]!.id === runId) {
+            const run = this.undoStack.pop()!;
+            for (const snapshot of run.snapshots.reverse()) {
+                if (await this.restoreSnapshot(snapshot)) {
+                    restored++;
+                }
             }
-        `;
-        document.head.appendChild(style);
+        }
+
+        return restored;
     }
 
-    private async autofillFields(userData: Record<string, any>): Promise<void> {
-        const fieldsToFill: Array<{ element: HTMLElement; value: string; fieldType: FieldTypeName }> = [];
+    private async restoreSnapshot(snapshot: FillSnapshot): Promise<boolean> {
+        switch (snapshot.kind) {
+            case 'value':
+                // Leave fields the user has changed since the fill alone
+                if (snapshot.element.value !== snapshot.filled) return false;
+                this.filledValues.delete(snapshot.element);
+                return this.valueSetter.setValue(snapshot.element, snapshot.previous);
+
+            case 'checked': {
+                const { inputs, previous } = snapshot;
+                // Checking first lets radios clear their siblings the normal way
+                inputs.forEach((input, index) => {
+                    if (previous[index] && !input.checked) input.click();
+                });
+                inputs.forEach((input, index) => {
+                    if (previous[index] || !input.checked) return;
+                    if (input.type === 'checkbox') {
+                        input.click();
+                    } else {
+                        // A radio can't be unchecked by clicking it
+                        input.checked = false;
+                        this.dispatchInputAndChange(input);
+                    }
+                });
+                return inputs.every((input, index) => input.checked === previous[index]);
+            }
+
+            case 'files': {
+                const transfer = new DataTransfer();
+                snapshot.previous.forEach(file => transfer.items.add(file));
+                snapshot.element.files = transfer.files;
+                this.dispatchInputAndChange(snapshot.element);
+                return true;
+            }
+
+            case 'dropdown': {
+                const { element, type, previous, filled } = snapshot;
+                if (this.getDropdownSelection(element) !== filled) return false;
+                this.filledValues.delete(element);
+                if (!previous) return this.clearDropdown(element);
+                return await this.fillCustomDropdown(element, previous, type) === 'filled';
+            }
+        }
+    }
+
+    // Comboboxes clear like text inputs; select-like widgets mostly clear on Backspace, as react-select does
+    private async clearDropdown(element: HTMLElement): Promise<boolean> {
+        if (element instanceof HTMLInputElement && element.value) {
+            await this.valueSetter.setValue(element, '');
+        }
+        if (this.getDropdownSelection(element) !== '') {
+            element.focus();
+            element.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, composed: true, key: 'Backspace' }));
+            await this.sleep(VERIFY_DELAY);
+        }
+        return this.getDropdownSelection(element) === '';
+    }
+
+    private dispatchInputAndChange(element: HTMLElement): void {
+        element.dispatchEvent(new Event('input', { bubbles: true, composed: true }));
+        element.dispatchEvent(new Event('change', { bubbles: true, composed: true }));
+    }
+
+    private fillChoiceGroup(group: ChoiceGroup, value: string, fieldType: DetectedFieldName): FieldFillStatus {
+        const options = group.inputs.map(input => ({ text: this.getOptionLabel(input), value: input.value }));
+        const input = group.inputs[this.findMatchingOption(options, value, fieldType)];
+        if (!input) return 'noOption';
+
+        // click() runs the page's own handlers, which setting checked directly would skip
+        if (!input.checked) {
+            input.click();
+        }
+        return input.checked ? 'filled' : 'rejected';
+    }
+
+    // Opens the widget, picks the best role="option" and checks the widget now shows it
+    private async fillCustomDropdown(element: HTMLElement, value: string, fieldType: DetectedFieldName): Promise<FieldFillStatus> {
+        this.openDropdown(element);
+        let options = await this.waitForOptions(element);
+        let index = this.findMatchingOption(this.toMatchableOptions(options), value, fieldType);
+
+        // Searchable comboboxes may only render options matching what's been typed
+        if (index === -1 && element instanceof HTMLInputElement) {
+            this.valueSetter.typeQuery(element, value);
+            options = await this.waitForOptions(element);
+            index = this.findMatchingOption(this.toMatchableOptions(options), value, fieldType);
+        }
+
+        const option = options[index];
+        if (!option) {
+            this.closeDropdown(element);
+            return 'noOption';
+        }
+
+        const optionText = this.normalizeText(option.textContent || '');
+        this.clickElement(option);
+        await this.sleep(VERIFY_DELAY);
+
+        return this.dropdownShows(element, option, optionText) ? 'filled' : 'rejected';
+    }
+
+    private openDropdown(element: HTMLElement): void {
+        element.focus();
+        this.clickElement(element);
+    }
+
+    private closeDropdown(element: HTMLElement): void {
+        element.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, composed: true, key: 'Escape' }));
+    }
+
+    // Widgets differ in whether they react to pointer, mouse or click events, so send all of them
+    private clickElement(element: HTMLElement): void {
+        const init = { bubbles: true, composed: true, cancelable: true, button: 0 };
+        element.dispatchEvent(new PointerEvent('pointerdown', init));
+        element.dispatchEvent(new MouseEvent('mousedown', init));
+        element.dispatchEvent(new PointerEvent('pointerup', init));
+        element.dispatchEvent(new MouseEvent('mouseup', init));
+        element.dispatchEvent(new MouseEvent('click', init));
+    }
+
+    private async waitForOptions(element: HTMLElement): Promise<HTMLElement[]> {
+        const deadline = Date.now() + OPTION_WAIT_TIMEOUT;
+        let triedKeyboard = false;
+
+        while (true) {
+            const options = this.getDropdownOptions(element);
+            if (options.length > 0 || Date.now() >= deadline) {
+                return options;
+            }
+
+            // Some widgets only open from the keyboard
+            if (!triedKeyboard && Date.now() >= deadline - OPTION_WAIT_TIMEOUT / 2) {
+                triedKeyboard = true;
+                element.dispatchEvent(new KeyboardEvent('keydown', { bubbles: true, composed: true, key: 'ArrowDown' }));
+            }
+
+            await this.sleep(VERIFY_DELAY);
+        }
+    }
+
+    private getDropdownOptions(element: HTMLElement): HTMLElement[] {
+        const root = element.getRootNode() as Document | ShadowRoot;
+        const isVisible = (option: HTMLElement): boolean => option.getClientRects().length > 0;
+
+        const listboxIds = [element.getAttribute('aria-controls'), element.getAttribute('aria-owns')]
+            .join(' ')
+            .split(/\s+/)
+            .filter(Boolean);
+
+        for (const id of listboxIds) {
+            const listbox = root.getElementById(id) || document.getElementById(id);
+            if (listbox) {
+                const options = Array.from(listbox.querySelectorAll<HTMLElement>('[role="option"]')).filter(isVisible);
+                if (options.length > 0) return options;
+            }
+        }
+
+        // Menus are often portaled to the end of <body>, away from the widget
+        return (this.querySelectorAllDeep(document, '[role="option"]') as HTMLElement[]).filter(isVisible);
+    }
+
+    private toMatchableOptions(options: HTMLElement[]): MatchableOption[] {
+        return options.map(option => ({
+            text: (option.textContent || '').trim(),
+            value: option.getAttribute('data-value') || option.getAttribute('value') || ''
+        }));
+    }
+
+    private dropdownShows(element: HTMLElement, option: HTMLElement, optionText: string): boolean {
+        if (option.isConnected && option.getAttribute('aria-selected') === 'true') {
+            return true;
+        }
+
+        // The chosen label ends up in the input (autocompletes) or in a sibling display node (selects)
+        let node: HTMLElement | null = element;
+        for (let depth = 0; node && depth < 4; depth++, node = node.parentElement) {
+            const shown = node instanceof HTMLInputElement ? node.value : (node.textContent || '');
+            if (optionText && this.normalizeText(shown).includes(optionText)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    private normalizeText(text: string): string {
+        return text.replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    private findMatchingOption(options: MatchableOption[], value: string, fieldType: DetectedFieldName): number {
+        // First try exact value match (for our test data and saved profiles)
+        let index = options.findIndex(opt => opt.value === value || opt.text === value);
+
+        if (index === -1) {
+            const normalized = value.trim().toLowerCase();
+            index = options.findIndex(opt => opt.text.trim().toLowerCase() === normalized);
+        }
+
+        // If no exact match, try smart matching based on field type
+        if (index === -1) {
+            index = options.findIndex(opt => this.optionMatches(opt, value, fieldType));
+        }
+
+        return index;
+    }
+
+    private optionMatches(option: MatchableOption, value: string, fieldType: DetectedFieldName): boolean {
+        const optText = (option.text || option.value).toLowerCase();
+        const optValue = option.value.toLowerCase();
+        const targetValue = value.toLowerCase();
+        
+        // Handle calling code lists like "United States (+1)"
+        if (fieldType === 'phoneCountryCode') {
+            const code = targetValue.replace(/\D/g, '');
+            // Without digits every digitless placeholder ("Select...", "--") would match
+            if (!code) return false;
+            return optValue.replace(/\D/g, '') === code || new RegExp(`\\+${code}(?!\\d)`).test(optText);
+        }
+
+        // Handle state/province by full name or abbreviation
+        if (fieldType === 'state') {
+            return this.matchesRegion(value, optText, optValue);
+        }
+
+        // Handle yes/no questions (visa, interview processes)
+        if ((fieldType === 'visaSponsorship' || fieldType === 'interviewingProcesses') && 
+            (targetValue === 'yes' || targetValue === 'no')) {
+            // Radio labels often elaborate ("Yes, I will require sponsorship") and values may be booleans
+            const booleanValue = targetValue === 'yes' ? 'true' : 'false';
+            return optText === targetValue || optValue === targetValue || optValue === booleanValue ||
+                new RegExp(`^${targetValue}\\b`).test(optText.trim());
+        }
+        
+        // Handle gender
+        if (fieldType === 'gender') {
+            if (targetValue === 'male' && optText === 'male') return true;
+            if (targetValue === 'female' && optText === 'female') return true;
+            if (targetValue === 'decline' && optText.includes('decline')) return true;
+            return false;
+        }
+        
+        // Handle Hispanic/Latino
+        if (fieldType === 'hispanicLatino') {
+            if (targetValue === 'yes' && optText === 'yes') return true;
+            if (targetValue === 'no' && optText === 'no') return true;
+            if (targetValue === 'decline' && optText.includes('decline')) return true;
+            return false;
+        }
+        
+        // Handle race - try to match common variations
+        if (fieldType === 'race') {
+            if (targetValue === 'white' && optText === 'white') return true;
+            if (targetValue === 'asian' && optText === 'asian') return true;
+            if (targetValue === 'black' && optText.includes('black')) return true;
+            if (targetValue === 'hispanic' && optText.includes('hispanic')) return true;
+            if (targetValue === 'decline' && optText.includes('decline')) return true;
+            return false;
+        }
+        
+        // Handle veteran status
+        if (fieldType === 'veteranStatus') {
+            if ((targetValue === 'no' || targetValue === 'not') && optText.includes('not a protected')) return true;
+            if ((targetValue === 'yes' || targetValue === 'veteran') && optText.includes('identify as')) return true;
+            if (targetValue === 'decline' && optText.includes('don\'t wish')) return true;
+            return false;
+        }
+        
+        // Handle disability status
+        if (fieldType === 'disabilityStatus') {
+            if ((targetValue === 'yes' || targetValue === 'have') && optText.includes('yes, i have')) return true;
+            if ((targetValue === 'no' || targetValue === 'not') && optText.includes('no, i do not')) return true;
+            if (targetValue === 'decline' && optText.includes('do not want')) return true;
+            return false;
+        }
+        
+        return false;
+    }
 
-        this.detectedFields.forEach((fieldType, element) => {
-            if (userData[fieldType] && (element as any).offsetParent !== null) {
+    // Returns the approved elements with their (possibly edited) values, or null if cancelled
+    private async reviewFill(
+        fields: Array<{ element: HTMLElement; value: string; fieldType: DetectedFieldName }>,
+        documents: DocumentTarget[]
+    ): Promise<Map<HTMLElement, string> | null> {
+        const items: ReviewItem[] = [
+            ...fields.map(({ element, value, fieldType }) => ({
+                element,
+                label: this.getReviewLabel(element),
+                type: this.humanizeType(fieldType),
+                value,
+                editable: true
+            })),
+            ...documents.map(({ element, kind, file }) => ({
+                element,
+                label: this.getReviewLabel(element),
+                type: this.humanizeType(kind),
+                value: file.name,
+                editable: false
+            }))
+        ];
+
+        const approved = await this.reviewPanel.open(items);
+        return approved ? new Map(approved.map(item => [item.element, item.value])) : null;
+    }
+
+    private getReviewLabel(element: HTMLElement): string {
+        const text = this.choiceGroups.get(element)?.question ||
+            this.getAssociatedLabel(element) ||
+            (element as HTMLInputElement).placeholder ||
+            element.getAttribute('name') ||
+            '';
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    private humanizeType(type: string): string {
+        return type.replace(/([A-Z])/g, ' $1').toLowerCase();
+    }
+
+    // Upload fields that are still empty and have a stored document to go in them
+    private async collectDocuments(shouldFill: ((element: HTMLElement) => boolean) | undefined, fillId: string): Promise<DocumentTarget[]> {
+        const files = this.session?.fillId === fillId ? this.session.documents : new Map<DocumentKind, Promise<File | null>>();
+        const targets: DocumentTarget[] = [];
+
+        for (const [element, kind] of this.documentFields) {
+            if (shouldFill && !shouldFill(element)) continue;
+            if (element instanceof HTMLInputElement && element.files?.length) continue;
+
+            // Each document is fetched once per fill or session, however many fields want it
+            if (!files.has(kind)) {
+                files.set(kind, this.loadDocument(kind));
+            }
+            const file = await files.get(kind);
+            if (file) {
+                targets.push({ element, kind, file });
+            }
+        }
+
+        return targets;
+    }
+
+    private async attachDocuments(targets: DocumentTarget[]): Promise<FieldFillResult[]> {
+        const results: FieldFillResult[] = [];
+
+        for (const { element, kind, file } of targets) {
+            const attached = await this.attachFile(element, file);
+            results.push({ fieldType: kind, label: this.getReviewLabel(element), status: attached ? 'filled' : 'rejected' });
+            this.session?.filled.add(element);
+        }
+
+        return results;
+    }
+
+    private async loadDocument(kind: DocumentKind): Promise<File | null> {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'getDocument',
+                data: { profileType: this.profileType, kind }
+            });
+            const entry: StoredDocument | null = response?.data || null;
+            return entry ? this.dataUrlToFile(entry.dataUrl, entry.name, entry.mimeType) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Decoded by hand because fetch() on a data: URL can be blocked by the page's CSP
+    private dataUrlToFile(dataUrl: string, name: string, mimeType: string): File {
+        const base64 = dataUrl.slice(dataUrl.indexOf(',') + 1);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new File([bytes], name, { type: mimeType });
+    }
+
+    private async attachFile(element: HTMLElement, file: File): Promise<boolean> {
+        if (element instanceof HTMLInputElement) {
+            return this.setInputFile(element, file);
+        }
+
+        const input = await this.revealDropzoneInput(element);
+        if (input) {
+            return this.setInputFile(input, file);
+        }
+
+        return this.dropFile(element, file);
+    }
+
+    private setInputFile(input: HTMLInputElement, file: File): boolean {
+        const snapshot = this.takeSnapshot(input);
+        const transfer = new DataTransfer();
+        transfer.items.add(file);
+        input.files = transfer.files;
+
+        this.dispatchInputAndChange(input);
+        const attached = input.files?.[0]?.name === file.name;
+        if (attached && snapshot) {
+            this.recordSnapshot(snapshot);
+        }
+        return attached;
+    }
+
+    // Some dropzones only create their file input on click
+    private async revealDropzoneInput(zone: HTMLElement): Promise<HTMLInputElement | null> {
+        const existing = new Set(this.querySelectorAllDeep(document, 'input[type="file"]'));
+        zone.click();
+        await this.sleep(VERIFY_DELAY);
+
+        const added = this.querySelectorAllDeep(document, 'input[type="file"]').find(input => !existing.has(input));
+        return (added as HTMLInputElement | undefined) || null;
+    }
+
+    private async dropFile(zone: HTMLElement, file: File): Promise<boolean> {
+        const transfer = new DataTransfer();
+        transfer.items.add(file);
+
+        for (const type of ['dragenter', 'dragover', 'drop']) {
+            zone.dispatchEvent(new DragEvent(type, { bubbles: true, composed: true, cancelable: true, dataTransfer: transfer }));
+        }
+
+        // There's no input to check, so look for the dropzone listing the file
+        await this.sleep(VERIFY_DELAY);
+        return (zone.textContent || '').includes(file.name);
+    }
+
+    // Composite targets are built from, or cut out of, the stored profile values
+    private resolveValue(fieldType: DetectedFieldName, userData: Record<string, any>): string {
+        switch (fieldType) {
+            case 'fullName':
+                return [userData.firstName, userData.lastName]
+                    .map(part => String(part || '').trim())
+                    .filter(Boolean)
+                    .join(' ');
+            case 'phoneCountryCode': {
+                const { countryCode } = this.splitPhone(userData.phone);
+                return countryCode ? `+${countryCode}` : '';
+            }
+            case 'phoneNational':
+                return this.splitPhone(userData.phone).national;
+            case 'phoneAreaCode':
+                return this.splitPhone(userData.phone).areaCode;
+            case 'phoneLocal':
+                return this.splitPhone(userData.phone).local;
+            case 'phoneLocalPrefix':
+                return this.splitPhone(userData.phone).local.slice(0, 3);
+            case 'phoneLocalSuffix':
+                return this.splitPhone(userData.phone).local.slice(3);
+            default:
+                return String(userData[fieldType] || '');
+        }
+    }
+
+    // Assumes a 10-digit national number (NANP) when splitting off area code and country code
+    private splitPhone(phone: unknown): { countryCode: string; national: string; areaCode: string; local: string } {
+        const digits = String(phone || '').replace(/\D/g, '');
+        const countryCode = digits.length > 10 ? digits.slice(0, digits.length - 10) : '';
+        const national = digits.length > 10 ? digits.slice(-10) : digits;
+        const hasAreaCode = national.length === 10;
+
+        return {
+            countryCode,
+            national,
+            areaCode: hasAreaCode ? national.slice(0, 3) : '',
+            local: hasAreaCode ? national.slice(3) : national
+        };
+    }
+
+    // Digits are dealt out from the right, so a leading country code only lands in a box meant for it
+    private getSegmentValue(value: string, segment: FieldSegment): string {
+        const digits = value.replace(/\D/g, '');
+        const parts: string[] = segment.lengths.map(() => '');
+
+        let end = digits.length;
+        for (let i = segment.lengths.length - 1; i >= 0 && end > 0; i--) {
+            const start = Math.max(0, end - (segment.lengths[i] || 0));
+            parts[i] = digits.slice(start, end);
+            end = start;
+        }
+
+        return parts[segment.index] || '';
+    }
+
+    private matchesRegion(value: string, optText: string, optValue: string): boolean {
+        const target = value.trim().toLowerCase();
+        const abbreviation = Object.keys(REGION_NAMES).find(code =>
+            code.toLowerCase() === target || REGION_NAMES[code]!.toLowerCase() === target
+        );
+
+        const candidates = new Set([target]);
+        if (abbreviation) {
+            candidates.add(abbreviation.toLowerCase());
+            candidates.add(REGION_NAMES[abbreviation]!.toLowerCase());
+        }
+
+        return candidates.has(optText.trim()) || candidates.has(optValue.trim());
+    }
+
+    private async startSession(userData: Record<string, any>, fillId: string = `session-${Date.now()}`): Promise<number> {
+        this.session = {
+            data: userData || {},
+            filled: new WeakSet(),
+            advancedSteps: new Set(),
+            fillId,
+            documents: new Map()
+        };
+        return this.continueSession();
+    }
+
+    private endSession(): void {
+        this.session = null;
+        if (this.sessionTimer) {
+            clearTimeout(this.sessionTimer);
+            this.sessionTimer = null;
+        }
+    }
+
+    private scheduleSessionFill(): void {
+        if (this.sessionTimer) {
+            clearTimeout(this.sessionTimer);
+        }
+        this.sessionTimer = setTimeout(() => {
+            this.sessionTimer = null;
+            this.continueSession();
+        }, SESSION_SETTLE_DELAY);
+    }
+
+    // Fills whatever the session hasn't touched yet, then advances through configured steps
+    private async continueSession(): Promise<number> {
+        if (!this.session || this.sessionRunning) return 0;
+        this.sessionRunning = true;
+
+        let total = 0;
+        try {
+            for (let round = 0; round < MAX_SESSION_STEPS && this.session; round++) {
+                const session: FillSessionState = this.session;
+                const step = this.siteRules.getCurrentStep();
+
+                const report = await this.autofillFields(session.data, (element) =>
+                    !session.filled.has(element) &&
+                    !this.hasValue(element) &&
+                    !(step && this.siteRules.isSkippedInStep(step, element)),
+                    false,
+                    session.fillId
+                );
+                total += report.filled;
+
+                if (!step?.nextButton || session.advancedSteps.has(step.step)) break;
+
+                const nextButton = this.querySelectorAllDeep(document, step.nextButton)[0] as HTMLElement | undefined;
+                if (!nextButton) break;
+
+                session.advancedSteps.add(step.step);
+                nextButton.click();
+                await this.sleep(step.waitForLoad || SESSION_SETTLE_DELAY);
+            }
+        } finally {
+            this.sessionRunning = false;
+        }
+
+        return total;
+    }
+
+    private async autofillFields(
+        userData: Record<string, any>,
+        shouldFill?: (element: HTMLElement) => boolean,
+        review: boolean = false,
+        fillId: string = `fill-${Date.now()}`
+    ): Promise<FillReport> {
+        let fieldsToFill: Array<{ element: HTMLElement; value: string; fieldType: DetectedFieldName }> = [];
+        const results: FieldFillResult[] = [];
+        const record = (element: HTMLElement, fieldType: string, status: FieldFillStatus): void => {
+            results.push({ fieldType, label: this.getReviewLabel(element), status });
+        };
+
+        // Pick up rules saved since the page loaded
+        await this.siteRules.load();
+        this.scanForFields();
+
+        // Answers remembered for this site replace the profile's
+        userData = { ...userData, ...(await this.loadSiteAnswers()) };
+        this.lastUserData = userData;
+
+        this.detectedFields.forEach((result, element) => {
+            const fieldType = result.type;
+            if (shouldFill && !shouldFill(element)) return;
+
+            let value = this.resolveValue(fieldType, userData);
+            if (value && result.segment) {
+                value = this.getSegmentValue(value, result.segment);
+            }
+
+            if (!this.isFillable(result)) return;
+
+            if (!this.isVisibleField(element)) {
+                record(element, fieldType, 'hidden');
+            } else if (!value) {
+                record(element, fieldType, 'noValue');
+            } else if (!this.mayOverwrite(element)) {
+                record(element, fieldType, 'hasValue');
+            } else {
                 fieldsToFill.push({
                     element,
-                    value: userData[fieldType],
+                    value,
                     fieldType
                 });
             }
         });
 
-        fieldsToFill.forEach(({ element, value, fieldType }, index) => {
-            setTimeout(() => {
-                
-                element.classList.add('pii-autofill-filling');
-                (element as HTMLInputElement).focus();
-
-                if (element.tagName.toLowerCase() === 'select') {
-                    const selectEl = element as HTMLSelectElement;
-                    
-                    // First try exact value match (for our test data and saved profiles)
-                    let option = Array.from(selectEl.options).find(opt => 
-                        opt.value === value || opt.textContent === value
-                    );
-                    
-                    // If no exact match, try smart matching based on field type
-                    if (!option) {
-                        option = Array.from(selectEl.options).find(opt => {
-                            const optText = (opt.textContent || opt.value).toLowerCase();
-                            const optValue = opt.value.toLowerCase();
-                            const targetValue = value.toLowerCase();
-                            
-                            // Handle yes/no questions (visa, interview processes)
-                            if ((fieldType === 'visaSponsorship' || fieldType === 'interviewingProcesses') && 
-                                (targetValue === 'yes' || targetValue === 'no')) {
-                                return optText === targetValue || optValue === targetValue;
-                            }
-                            
-                            // Handle gender
-                            if (fieldType === 'gender') {
-                                if (targetValue === 'male' && optText === 'male') return true;
-                                if (targetValue === 'female' && optText === 'female') return true;
-                                if (targetValue === 'decline' && optText.includes('decline')) return true;
-                                return false;
-                            }
-                            
-                            // Handle Hispanic/Latino
-                            if (fieldType === 'hispanicLatino') {
-                                if (targetValue === 'yes' && optText === 'yes') return true;
-                                if (targetValue === 'no' && optText === 'no') return true;
-                                if (targetValue === 'decline' && optText.includes('decline')) return true;
-                                return false;
-                            }
-                            
-                            // Handle race - try to match common variations
-                            if (fieldType === 'race') {
-                                if (targetValue === 'white' && optText === 'white') return true;
-                                if (targetValue === 'asian' && optText === 'asian') return true;
-                                if (targetValue === 'black' && optText.includes('black')) return true;
-                                if (targetValue === 'hispanic' && optText.includes('hispanic')) return true;
-                                if (targetValue === 'decline' && optText.includes('decline')) return true;
-                                return false;
-                            }
-                            
-                            // Handle veteran status
-                            if (fieldType === 'veteranStatus') {
-                                if ((targetValue === 'no' || targetValue === 'not') && optText.includes('not a protected')) return true;
-                                if ((targetValue === 'yes' || targetValue === 'veteran') && optText.includes('identify as')) return true;
-                                if (targetValue === 'decline' && optText.includes('don\'t wish')) return true;
-                                return false;
-                            }
-                            
-                            // Handle disability status
-                            if (fieldType === 'disabilityStatus') {
-                                if ((targetValue === 'yes' || targetValue === 'have') && optText.includes('yes, i have')) return true;
-                                if ((targetValue === 'no' || targetValue === 'not') && optText.includes('no, i do not')) return true;
-                                if (targetValue === 'decline' && optText.includes('do not want')) return true;
-                                return false;
-                            }
-                            
-                            return false;
-                        });
-                    }
-                    
-                    if (option) {
-                        selectEl.value = option.value;
-                        selectEl.dispatchEvent(new Event('change', { bubbles: true }));
-                    }
-                } else {
-                    (element as HTMLInputElement).value = value;
-                    ['input', 'change', 'blur'].forEach(eventType => {
-                        element.dispatchEvent(new Event(eventType, { bubbles: true }));
-                    });
-                }
+        let documents = await this.collectDocuments(shouldFill, fillId);
 
-                setTimeout(() => {
-                    element.classList.remove('pii-autofill-filling');
-                }, 500);
+        if (review && fieldsToFill.length + documents.length > 0) {
+            const approved = await this.reviewFill(fieldsToFill, documents);
+            if (!approved) return { filled: 0, results: [] };
 
-            }, index * 100);
-        });
+            fieldsToFill = fieldsToFill
+                .filter(field => approved.get(field.element))
+                .map(field => ({ ...field, value: approved.get(field.element)! }));
+            documents = documents.filter(target => approved.has(target.element));
+        }
+
+        this.beginUndoRun(fillId);
 
-        if (fieldsToFill.length > 0) {
+        for (const [index, { element, value, fieldType }] of fieldsToFill.entries()) {
+            const delay = (index > 0 ? FILL_INTERVAL : 0) + this.siteRules.getDelay(fieldType);
+            if (delay > 0) {
+                await this.sleep(delay);
+            }
+            record(element, fieldType, await this.fillField(element, value, fieldType));
+            this.session?.filled.add(element);
+        }
+
+        results.push(...await this.attachDocuments(documents));
+
+        const report: FillReport = {
+            filled: results.filter(result => result.status === 'filled').length,
+            results
+        };
+
+        // Session rounds re-run whenever the page changes; only one that filled something is news
+        const sessionRound = this.session?.fillId === fillId;
+        if (results.length > 0 && (!sessionRound || report.filled > 0)) {
             chrome.runtime.sendMessage({
                 action: 'autofillComplete',
-                fieldsCount: fieldsToFill.length
+                fillId,
+                report
+            }).catch(() => {
+                // The background may be restarting; the popup still gets the report in the response
             });
         }
+
+        return report;
     }
 }
 
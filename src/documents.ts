@@ -0,0 +1,83 @@
+// Resume and cover letter storage. Files live in IndexedDB rather than chrome.storage:
+// they're far over the sync quota and shouldn't follow the profile to other machines.
+import type { DocumentKind, DocumentInfo, StoredDocument } from '../types/extension';
+
+const DB_NAME = 'pii-autofill-documents';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+export const DOCUMENT_KINDS: DocumentKind[] = ['resume', 'coverLetter'];
+
+// Keeps documents well under the message size limit when handed to content scripts
+export const MAX_DOCUMENT_SIZE = 10 * 1024 * 1024;
+
+class DocumentStore {
+    private db: Promise<IDBDatabase> | null = null;
+
+    async save(entry: StoredDocument): Promise<void> {
+        await this.run('readwrite', store => store.put(entry));
+    }
+
+    async get(profileType: string, kind: DocumentKind): Promise<StoredDocument | null> {
+        const entry = await this.run<StoredDocument | undefined>('readonly', store => store.get([profileType, kind]));
+        return entry || null;
+    }
+
+    // Metadata only, so listing doesn't pull every file into memory
+    async list(profileType: string): Promise<DocumentInfo[]> {
+        const entries = await this.run<StoredDocument[]>('readonly', store =>
+            store.index('profileType').getAll(profileType)
+        );
+        return entries.map(({ dataUrl, ...info }) => info);
+    }
+
+    async remove(profileType: string, kind: DocumentKind): Promise<void> {
+        await this.run('readwrite', store => store.delete([profileType, kind]));
+    }
+
+    async removeAll(profileType: string): Promise<void> {
+        const documents = await this.list(profileType);
+        for (const entry of documents) {
+            await this.remove(profileType, entry.kind);
+        }
+    }
+
+    async copyAll(fromProfile: string, toProfile: string): Promise<void> {
+        for (const kind of DOCUMENT_KINDS) {
+            const entry = await this.get(fromProfile, kind);
+            if (entry) {
+                await this.save({ ...entry, profileType: toProfile, updatedAt: Date.now() });
+            }
+        }
+    }
+
+    private open(): Promise<IDBDatabase> {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE_NAME, { keyPath: ['profileType', 'kind'] });
+                    store.createIndex('profileType', 'profileType');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    this.db = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return this.db;
+    }
+
+    private async run<T>(mode: IDBTransactionMode, operation: (store: IDBObjectStore) => IDBRequest<T>): Promise<T> {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+export default DocumentStore;
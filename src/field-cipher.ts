@@ -0,0 +1,94 @@
+// Field-level encryption for profile values. With encryptSensitiveFields on, sensitive fields
+// are stored as "enc:v1:<iv>:<ciphertext>" under the vault key; everything else stays readable
+// so names and menus work while the vault is locked.
+import type { FieldTypeName } from '../types/extension';
+import { storageManager } from './storage.js';
+import Vault from './vault.js';
+
+// Contact details and the EEO answers
+export const SENSITIVE_FIELDS: ReadonlySet<string> = new Set<FieldTypeName>([
+    'email',
+    'phone',
+    'gender',
+    'race',
+    'hispanicLatino',
+    'veteranStatus',
+    'disabilityStatus'
+]);
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+class FieldCipher {
+    private vault: Vault;
+
+    constructor(vault: Vault = new Vault()) {
+        this.vault = vault;
+    }
+
+    static isEncrypted(value: unknown): value is string {
+        return typeof value === 'string' && value.startsWith(ENCRYPTED_PREFIX);
+    }
+
+    // The setting means nothing without a master password, e.g. imported with one that isn't set up here
+    async isEnabled(): Promise<boolean> {
+        const settings = await storageManager.getSettings();
+        return Boolean(settings.encryptSensitiveFields) && await this.vault.isEnabled();
+    }
+
+    // Values decryptValues had to leave encrypted are never filled, suggested or shown as answers
+    static readable<T extends Record<string, any>>(values: T): Partial<T> {
+        const readable: Record<string, any> = {};
+        for (const [field, value] of Object.entries(values)) {
+            if (!FieldCipher.isEncrypted(value)) {
+                readable[field] = value;
+            }
+        }
+        return readable as Partial<T>;
+    }
+
+    // The encrypted values alone, so a save of the readable ones doesn't drop them
+    static encryptedOnly<T extends Record<string, any>>(values: T): Partial<T> {
+        const encrypted: Record<string, any> = {};
+        for (const [field, value] of Object.entries(values)) {
+            if (FieldCipher.isEncrypted(value)) {
+                encrypted[field] = value;
+            }
+        }
+        return encrypted as Partial<T>;
+    }
+
+    // Already-encrypted values pass through, so data read while locked can be written back as is
+    async encryptValues<T extends Record<string, any>>(values: T): Promise<T> {
+        if (!await this.isEnabled()) return values;
+
+        const encrypted: Record<string, any> = { ...values };
+        for (const [field, value] of Object.entries(values)) {
+            if (!SENSITIVE_FIELDS.has(field) || typeof value !== 'string' || !value || FieldCipher.isEncrypted(value)) continue;
+
+            // Throws while locked rather than letting a sensitive value reach storage in the clear
+            const { iv, data } = await this.vault.encrypt(value);
+            encrypted[field] = `${ENCRYPTED_PREFIX}${iv}:${data}`;
+        }
+        return encrypted as T;
+    }
+
+    // Decrypts whatever is encrypted, whether or not the setting is still on. While locked, or
+    // for values encrypted under another password, the encrypted values are left in place
+    async decryptValues<T extends Record<string, any>>(values: T): Promise<T> {
+        const fields = Object.keys(values).filter(field => FieldCipher.isEncrypted(values[field]));
+        if (fields.length === 0 || await this.vault.isLocked()) return values;
+
+        const decrypted: Record<string, any> = { ...values };
+        for (const field of fields) {
+            const [iv = '', data = ''] = String(values[field]).slice(ENCRYPTED_PREFIX.length).split(':');
+            try {
+                decrypted[field] = await this.vault.decrypt({ iv, data });
+            } catch (error) {
+                // Encrypted under a different password (e.g. imported); keep it rather than lose it
+            }
+        }
+        return decrypted as T;
+    }
+}
+
+export default FieldCipher;
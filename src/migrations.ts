@@ -0,0 +1,135 @@
+// Ordered upgrades for stored data. schemaVersion records the last one applied; each
+// migration lists the keys it reads and returns their new values (undefined removes a key).
+// Stored data is brought up to date when the service worker starts, imports before they're written.
+import type { MigrationReport, SiteRule } from '../types/extension';
+import ProfileStore from './profiles.js';
+import { storageManager, type StorageAreaName } from './storage.js';
+
+type StoredValues = Record<string, any>;
+
+interface Migration {
+    version: number;
+    description: string;
+    keys: string[];
+    // Keys to bring over from the area an older version kept them in, before anything is read
+    moves?: Record<string, StorageAreaName>;
+    migrate(values: StoredValues): StoredValues;
+}
+
+const MIGRATIONS: Migration[] = [
+    {
+        version: 1,
+        description: 'Convert the single flat profile into named profiles',
+        keys: ['profiles'],
+        migrate: ({ profiles }) => ({
+            profiles: profiles === undefined ? undefined : ProfileStore.normalize(profiles)
+        })
+    },
+    {
+        version: 2,
+        description: 'Remove the raw encryption key older versions kept next to the data',
+        keys: ['encryptionKey'],
+        migrate: () => ({ encryptionKey: undefined })
+    },
+    {
+        version: 3,
+        description: 'Give site rules the hostname they are stored under',
+        keys: ['siteRules'],
+        migrate: ({ siteRules }) => {
+            if (!siteRules || typeof siteRules !== 'object') return { siteRules };
+
+            const rules: Record<string, SiteRule> = {};
+            for (const [hostname, rule] of Object.entries(siteRules as Record<string, SiteRule>)) {
+                if (!rule || typeof rule !== 'object') continue;
+                rules[hostname] = {
+                    ...rule,
+                    hostname: rule.hostname || hostname,
+                    selectors: rule.selectors || {},
+                    delays: rule.delays || {}
+                };
+            }
+            return { siteRules: rules };
+        }
+    },
+    {
+        version: 4,
+        description: 'Keep the vault config with the data it encrypts',
+        keys: [],
+        moves: { vault: 'local' },
+        migrate: () => ({})
+    }
+];
+
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS.reduce((version, migration) => Math.max(version, migration.version), 0);
+
+class MigrationRunner {
+    // Everything is transformed in memory and written in one go, so a failed step leaves storage as it was
+    async run(): Promise<MigrationReport> {
+        const from = Number(await storageManager.get('schemaVersion')) || 0;
+        const pending = this.pendingFrom(from);
+        // Only moves values between areas, so it's safe ahead of the all-or-nothing part
+        for (const migration of pending) {
+            for (const [key, area] of Object.entries(migration.moves || {})) {
+                await storageManager.adopt(key, area);
+            }
+        }
+
+        const keys = [...new Set(pending.flatMap(migration => migration.keys))];
+        const stored = await storageManager.getMany(keys);
+
+        const { values, report } = this.migrate(stored, from);
+        if (report.error || from === CURRENT_SCHEMA_VERSION) {
+            return report;
+        }
+
+        const changes: StoredValues = { schemaVersion: CURRENT_SCHEMA_VERSION };
+        for (const key of keys) {
+            if (JSON.stringify(values[key]) !== JSON.stringify(stored[key])) {
+                changes[key] = values[key];
+            }
+        }
+        await storageManager.setMany(changes);
+        return report;
+    }
+
+    // Works on a copy; on failure the report carries the error and the values come back untouched
+    migrate(values: StoredValues, from: number): { values: StoredValues; report: MigrationReport } {
+        const report: MigrationReport = { from, to: from, applied: [], at: Date.now() };
+
+        if (from > CURRENT_SCHEMA_VERSION) {
+            report.error = `Data is from a newer version of the extension (schema ${from}, this version supports ${CURRENT_SCHEMA_VERSION})`;
+            return { values, report };
+        }
+
+        let migrated = structuredClone(values);
+        for (const migration of this.pendingFrom(from)) {
+            try {
+                const updates = migration.migrate(this.pick(migrated, migration.keys));
+                migrated = { ...migrated, ...updates };
+            } catch (error) {
+                report.error = `${migration.description} (schema ${migration.version}) failed: ${error instanceof Error ? error.message : String(error)}`;
+                return { values, report };
+            }
+            report.to = migration.version;
+            report.applied.push(migration.description);
+        }
+
+        return { values: migrated, report };
+    }
+
+    private pendingFrom(version: number): Migration[] {
+        return MIGRATIONS
+            .filter(migration => migration.version > version)
+            .sort((a, b) => a.version - b.version);
+    }
+
+    private pick(values: StoredValues, keys: string[]): StoredValues {
+        const picked: StoredValues = {};
+        keys.forEach(key => {
+            picked[key] = values[key];
+        });
+        return picked;
+    }
+}
+
+export default MigrationRunner;
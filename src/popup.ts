@@ -1,9 +1,18 @@
 // Popup TypeScript implementation with type safety
+import ProfileStore from './profiles.js';
+import FieldCipher from './field-cipher.js';
+import { storageManager, SYNCABLE_KEYS } from './storage.js';
 import type {
     Profile,
+    Profiles,
     Settings,
+    SitePreference,
     FieldType,
-    FieldTypeName
+    FieldTypeName,
+    DocumentKind,
+    FieldFillResult,
+    OverwritePolicy,
+    DocumentInfo
 } from '../types/extension';
 
 interface PopupElements {
@@ -15,30 +24,55 @@ interface FormValidationResult {
     errors: string[];
 }
 
+// How long the delete button waits for its confirming second click
+const DELETE_CONFIRM_TIMEOUT = 3000;
+
 class PopupManager {
-    private profiles: Profile;
+    private profiles: Profiles;
     private settings: Settings;
-    private currentTab: string;
+    private activeProfileId: string;
+    private profileStore: ProfileStore;
     private elements: PopupElements;
+    private sessionActive: boolean;
+    private deleteConfirmTimer: ReturnType<typeof setTimeout> | null;
+    private siteHostname: string;
+    private sitePreference: SitePreference | null;
 
     constructor() {
-        this.profiles = { personal: {} };
+        this.profiles = {};
         this.settings = {
             autoDetectFields: true,
             debugMode: false
         };
-        this.currentTab = 'personal';
+        this.activeProfileId = '';
+        this.profileStore = new ProfileStore();
         this.elements = {};
+        this.sessionActive = false;
+        this.deleteConfirmTimer = null;
+        this.siteHostname = '';
+        this.sitePreference = null;
 
         this.init();
     }
 
     private async init(): Promise<void> {
         try {
-            await this.loadProfiles();
             this.cacheElements();
+            this.setupVaultListeners();
+
+            // A locked vault shows only the unlock form; unlocking reloads the popup
+            if (await this.refreshVaultState()) return;
+
+            await this.loadProfiles();
+            await this.loadSitePreference();
             this.setupEventListeners();
             await this.initializeToggleButton();
+            await this.refreshFillSession();
+            await this.loadDocuments();
+            await this.refreshStorageUsage();
+
+            // Saves from here, the background or another device all change the usage
+            storageManager.subscribe(['settings', ...SYNCABLE_KEYS], () => this.refreshStorageUsage());
         } catch (error) {
             this.showMessage('Failed to initialize popup', 'error');
         }
@@ -47,7 +81,13 @@ class PopupManager {
     private cacheElements(): void {
         const elementIds = [
             'fillAllFields', 'saveProfile', 'detectFieldsBtn', 'toggleExtensionBtn',
-            'toggleExtensionText'
+            'toggleExtensionText', 'fillSessionBtn', 'profileSelect', 'profileNameInput',
+            'newProfileBtn', 'duplicateProfileBtn', 'deleteProfileBtn', 'siteSection', 'siteHostname',
+            'siteProfileSelect', 'siteAnswersText', 'clearSiteAnswersBtn', 'reviewBeforeFill',
+            'inlineSuggestions', 'fillNotifications', 'overwritePolicy', 'siteOverwritePolicy', 'undoFillBtn',
+            'lockVaultBtn', 'unlockPanel', 'unlockPasswordInput', 'unlockVaultBtn', 'vaultPasswordInput',
+            'vaultStatusText', 'enableVaultBtn', 'disableVaultBtn', 'vaultAutoLock', 'encryptSensitiveFields',
+            'syncUsageMeter', 'syncUsageText', 'localOnlyText'
         ];
 
         for (const id of elementIds) {
@@ -57,25 +97,393 @@ class PopupManager {
 
     private async loadProfiles(): Promise<void> {
         try {
-            const result = await chrome.storage.sync.get(['profiles', 'settings']);
-            
-            this.profiles = result.profiles || { personal: {} };
-            this.settings = { ...this.settings, ...(result.settings || {}) };
+            this.profiles = await this.profileStore.getAll();
+            this.activeProfileId = await this.profileStore.getActiveId();
+            this.settings = { ...this.settings, ...(await storageManager.getSettings()) };
 
+            this.renderProfileSwitcher();
             this.populateFormFields();
 
+            const reviewToggle = this.elements.reviewBeforeFill as HTMLInputElement | null;
+            if (reviewToggle) {
+                reviewToggle.checked = Boolean(this.settings.reviewBeforeFill);
+            }
+
+            const suggestionsToggle = this.elements.inlineSuggestions as HTMLInputElement | null;
+            if (suggestionsToggle) {
+                suggestionsToggle.checked = this.settings.inlineSuggestions !== false;
+            }
+
+            const notificationsToggle = this.elements.fillNotifications as HTMLInputElement | null;
+            if (notificationsToggle) {
+                notificationsToggle.checked = Boolean(this.settings.fillNotifications);
+            }
+
+            const policySelect = this.elements.overwritePolicy as HTMLSelectElement | null;
+            if (policySelect) {
+                policySelect.value = this.settings.overwritePolicy || 'autofilled';
+            }
+
         } catch (error) {
             this.showMessage('Failed to load profiles', 'error');
         }
     }
 
+    private getActiveProfile(): Profile | undefined {
+        return this.profiles[this.activeProfileId];
+    }
+
+    // Clears fields the active profile doesn't have, so switching never shows stale values
     private populateFormFields(): void {
-        for (const [fieldName, fieldValue] of Object.entries(this.profiles.personal)) {
-            const element = document.getElementById(fieldName) as HTMLInputElement;
-            
-            if (element && fieldValue) {
-                element.value = String(fieldValue);
+        const data: Record<string, unknown> = this.getActiveProfile()?.data || {};
+        let encryptedCount = 0;
+
+        document.querySelectorAll<HTMLInputElement>('#personal-tab [data-field]').forEach(element => {
+            const fieldValue = data[element.dataset.field || ''];
+            // Encrypted under a password this device doesn't have; shown empty so it's never mistaken for an answer
+            const encrypted = FieldCipher.isEncrypted(fieldValue);
+            element.value = fieldValue && !encrypted ? String(fieldValue) : '';
+            element.classList.toggle('encrypted-value', encrypted);
+            element.title = encrypted ? 'Encrypted with a different master password. Enter it again to replace it.' : '';
+            if (encrypted) encryptedCount++;
+        });
+
+        if (encryptedCount > 0) {
+            this.showMessage(`${encryptedCount} values were encrypted with a different master password; re-enter them to use them here`, 'warning');
+        }
+    }
+
+    private renderProfileSwitcher(): void {
+        const select = this.elements.profileSelect as HTMLSelectElement | null;
+        const nameInput = this.elements.profileNameInput as HTMLInputElement | null;
+
+        if (select) {
+            select.replaceChildren(...Object.values(this.profiles).map(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                return option;
+            }));
+            select.value = this.activeProfileId;
+        }
+
+        if (nameInput) {
+            nameInput.value = this.getActiveProfile()?.name || '';
+        }
+
+        const deleteBtn = this.elements.deleteProfileBtn as HTMLButtonElement | null;
+        if (deleteBtn) {
+            deleteBtn.disabled = Object.keys(this.profiles).length <= 1;
+        }
+
+        this.renderSiteSection();
+    }
+
+    // A site bound to a profile opens the popup on that profile instead of the active one
+    private async loadSitePreference(): Promise<void> {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            if (!tab?.url || !/^https?:/.test(tab.url)) return;
+
+            this.siteHostname = new URL(tab.url).hostname;
+            const response = await chrome.runtime.sendMessage({
+                action: 'getSitePreference',
+                data: { url: tab.url }
+            });
+            this.sitePreference = response?.data || null;
+
+            const boundId = this.sitePreference?.profileId;
+            if (boundId && this.profiles[boundId]) {
+                this.activeProfileId = boundId;
+                this.populateFormFields();
             }
+            this.renderProfileSwitcher();
+        } catch (error) {
+            this.siteHostname = '';
+        }
+    }
+
+    private renderSiteSection(): void {
+        const section = this.elements.siteSection;
+        if (!section) return;
+
+        section.hidden = !this.siteHostname;
+        if (!this.siteHostname) return;
+
+        if (this.elements.siteHostname) {
+            this.elements.siteHostname.textContent = this.siteHostname;
+        }
+
+        const select = this.elements.siteProfileSelect as HTMLSelectElement | null;
+        if (select) {
+            const defaultOption = document.createElement('option');
+            defaultOption.value = '';
+            defaultOption.textContent = 'Use active profile';
+
+            select.replaceChildren(defaultOption, ...Object.values(this.profiles).map(profile => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                return option;
+            }));
+            const boundId = this.sitePreference?.profileId;
+            select.value = boundId && this.profiles[boundId] ? boundId : '';
+        }
+
+        const policySelect = this.elements.siteOverwritePolicy as HTMLSelectElement | null;
+        if (policySelect) {
+            policySelect.value = this.sitePreference?.overwritePolicy || '';
+        }
+
+        const answerCount = Object.keys(this.sitePreference?.overrides || {}).length;
+        if (this.elements.siteAnswersText) {
+            this.elements.siteAnswersText.textContent = answerCount > 0
+                ? `${answerCount} remembered answer${answerCount === 1 ? '' : 's'}`
+                : 'No remembered answers';
+        }
+
+        const clearBtn = this.elements.clearSiteAnswersBtn as HTMLButtonElement | null;
+        if (clearBtn) {
+            clearBtn.disabled = answerCount === 0;
+        }
+    }
+
+    private async bindSiteProfile(profileId: string): Promise<void> {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'bindSiteProfile',
+                data: { hostname: this.siteHostname, profileId: profileId || null }
+            });
+            this.sitePreference = response?.data || null;
+
+            if (profileId) {
+                await this.switchProfile(profileId, false);
+                this.showMessage(`${this.siteHostname} will fill with ${this.profiles[profileId]?.name}`, 'success');
+            } else {
+                this.renderSiteSection();
+                this.showMessage(`${this.siteHostname} will fill with the active profile`, 'info');
+            }
+        } catch (error) {
+            this.showMessage('Failed to save site profile', 'error');
+        }
+    }
+
+    private async setSiteOverwritePolicy(policy: string): Promise<void> {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'setSiteOverwritePolicy',
+                data: { hostname: this.siteHostname, policy: policy || null }
+            });
+            this.sitePreference = response?.data || null;
+            this.renderSiteSection();
+        } catch (error) {
+            this.showMessage('Failed to save site setting', 'error');
+        }
+    }
+
+    private async clearSiteAnswers(): Promise<void> {
+        try {
+            await chrome.runtime.sendMessage({
+                action: 'clearSiteAnswers',
+                data: { hostname: this.siteHostname }
+            });
+            if (this.sitePreference) {
+                this.sitePreference.overrides = {};
+            }
+            this.renderSiteSection();
+            this.showMessage('Remembered answers cleared', 'info');
+        } catch (error) {
+            this.showMessage('Failed to clear remembered answers', 'error');
+        }
+    }
+
+    private setupVaultListeners(): void {
+        this.elements.unlockVaultBtn?.addEventListener('click', () => {
+            this.unlockVault();
+        });
+
+        this.elements.unlockPasswordInput?.addEventListener('keydown', (event) => {
+            if ((event as KeyboardEvent).key === 'Enter') {
+                this.unlockVault();
+            }
+        });
+
+        this.elements.lockVaultBtn?.addEventListener('click', () => {
+            this.lockVault();
+        });
+
+        this.elements.enableVaultBtn?.addEventListener('click', () => {
+            this.enableVault();
+        });
+
+        this.elements.disableVaultBtn?.addEventListener('click', () => {
+            this.disableVault();
+        });
+
+        this.elements.vaultAutoLock?.addEventListener('change', (event) => {
+            this.saveSetting('vaultAutoLockMinutes', Number((event.target as HTMLSelectElement).value));
+        });
+
+        this.elements.encryptSensitiveFields?.addEventListener('change', (event) => {
+            this.setSensitiveEncryption(event.target as HTMLInputElement);
+        });
+    }
+
+    // Returns whether the vault is locked
+    private async refreshVaultState(): Promise<boolean> {
+        const state = await chrome.runtime.sendMessage({ action: 'getVaultState' });
+        const enabled = Boolean(state?.enabled);
+        const locked = Boolean(state?.locked);
+
+        document.querySelector('.container')?.classList.toggle('locked', locked);
+        this.setHidden('unlockPanel', !locked);
+        this.setHidden('lockVaultBtn', !enabled || locked);
+        this.setHidden('enableVaultBtn', enabled);
+        this.setHidden('disableVaultBtn', !enabled);
+
+        if (this.elements.vaultStatusText) {
+            this.elements.vaultStatusText.textContent = enabled ? '(set)' : '(not set)';
+        }
+
+        const autoLockSelect = this.elements.vaultAutoLock as HTMLSelectElement | null;
+        if (autoLockSelect && state?.autoLockMinutes) {
+            autoLockSelect.value = String(state.autoLockMinutes);
+        }
+
+        // Encryption uses the vault key, so it needs a master password first
+        const encryptToggle = this.elements.encryptSensitiveFields as HTMLInputElement | null;
+        if (encryptToggle) {
+            encryptToggle.checked = Boolean(state?.encryptSensitiveFields);
+            encryptToggle.disabled = !enabled && !encryptToggle.checked;
+        }
+
+        if (locked) {
+            (this.elements.unlockPasswordInput as HTMLInputElement | null)?.focus();
+        }
+        return locked;
+    }
+
+    private async refreshStorageUsage(): Promise<void> {
+        try {
+            const stats = await storageManager.getStorageStats();
+
+            const meter = this.elements.syncUsageMeter as HTMLMeterElement | null;
+            if (meter) {
+                meter.value = Math.min(1, stats.syncBytes / stats.syncQuota);
+            }
+            if (this.elements.syncUsageText) {
+                this.elements.syncUsageText.textContent =
+                    `${Math.ceil(stats.syncBytes / 1024)} KB of ${Math.floor(stats.syncQuota / 1024)} KB`;
+            }
+            if (this.elements.localOnlyText) {
+                this.elements.localOnlyText.textContent =
+                    `Too large to sync, saved on this device only: ${stats.localOnlyKeys.join(', ')}`;
+            }
+            this.setHidden('localOnlyText', stats.localOnlyKeys.length === 0);
+        } catch (error) {
+            // The meter is informational; leave it as it was
+        }
+    }
+
+    private setHidden(id: string, hidden: boolean): void {
+        const element = this.elements[id];
+        if (element) {
+            element.hidden = hidden;
+        }
+    }
+
+    private async unlockVault(): Promise<void> {
+        const input = this.elements.unlockPasswordInput as HTMLInputElement | null;
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'unlockVault',
+                data: { password: input?.value || '' }
+            });
+
+            if (response?.success) {
+                location.reload();
+            } else {
+                this.showMessage(response?.error || 'Failed to unlock', 'error');
+                input?.select();
+            }
+        } catch (error) {
+            this.showMessage('Failed to unlock', 'error');
+        }
+    }
+
+    private async lockVault(): Promise<void> {
+        try {
+            await chrome.runtime.sendMessage({ action: 'lockVault' });
+            // Reloading drops the profile values already rendered into the form
+            location.reload();
+        } catch (error) {
+            this.showMessage('Failed to lock', 'error');
+        }
+    }
+
+    private async enableVault(): Promise<void> {
+        const input = this.elements.vaultPasswordInput as HTMLInputElement | null;
+        const password = input?.value || '';
+        if (password.length < 8) {
+            this.showMessage('Use at least 8 characters for the master password', 'warning');
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'enableVault', data: { password } });
+            if (!response?.success) {
+                this.showMessage(response?.error || 'Failed to set password', 'error');
+                return;
+            }
+
+            if (input) input.value = '';
+            await this.refreshVaultState();
+            this.showMessage('Master password set', 'success');
+        } catch (error) {
+            this.showMessage('Failed to set password', 'error');
+        }
+    }
+
+    private async setSensitiveEncryption(toggle: HTMLInputElement): Promise<void> {
+        const enabled = toggle.checked;
+        toggle.disabled = true;
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'setSensitiveEncryption', data: { enabled } });
+            if (!response?.success) {
+                toggle.checked = !enabled;
+                this.showMessage(response?.error || 'Failed to change encryption', 'error');
+            } else {
+                this.showMessage(enabled ? 'Sensitive fields are now encrypted' : 'Sensitive fields are stored unencrypted', 'success');
+            }
+        } catch (error) {
+            toggle.checked = !enabled;
+            this.showMessage('Failed to change encryption', 'error');
+        } finally {
+            await this.refreshVaultState();
+        }
+    }
+
+    private async disableVault(): Promise<void> {
+        const input = this.elements.vaultPasswordInput as HTMLInputElement | null;
+        if (!input?.value) {
+            this.showMessage('Enter the current master password to remove it', 'warning');
+            input?.focus();
+            return;
+        }
+
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'disableVault', data: { password: input.value } });
+            if (!response?.success) {
+                this.showMessage(response?.error || 'Failed to remove password', 'error');
+                return;
+            }
+
+            input.value = '';
+            await this.refreshVaultState();
+            this.showMessage('Master password removed', 'info');
+        } catch (error) {
+            this.showMessage('Failed to remove password', 'error');
         }
     }
 
@@ -100,10 +508,91 @@ class PopupManager {
             this.toggleExtension();
         });
 
+        // Fill session button
+        this.elements.fillSessionBtn?.addEventListener('click', () => {
+            this.toggleFillSession();
+        });
+
+        // Undo button
+        this.elements.undoFillBtn?.addEventListener('click', () => {
+            this.undoAutofill();
+        });
+
+        // Profile switcher
+        this.elements.profileSelect?.addEventListener('change', (event) => {
+            this.switchProfile((event.target as HTMLSelectElement).value);
+        });
+
+        this.elements.profileNameInput?.addEventListener('change', (event) => {
+            this.renameProfile((event.target as HTMLInputElement).value);
+        });
+
+        // Review toggle
+        this.elements.reviewBeforeFill?.addEventListener('change', (event) => {
+            this.saveSetting('reviewBeforeFill', (event.target as HTMLInputElement).checked);
+        });
+
+        this.elements.inlineSuggestions?.addEventListener('change', (event) => {
+            this.saveSetting('inlineSuggestions', (event.target as HTMLInputElement).checked);
+        });
+
+        this.elements.fillNotifications?.addEventListener('change', (event) => {
+            this.saveSetting('fillNotifications', (event.target as HTMLInputElement).checked);
+        });
+
+        this.elements.overwritePolicy?.addEventListener('change', (event) => {
+            this.saveSetting('overwritePolicy', (event.target as HTMLSelectElement).value as OverwritePolicy);
+        });
+
+        this.elements.siteProfileSelect?.addEventListener('change', (event) => {
+            this.bindSiteProfile((event.target as HTMLSelectElement).value);
+        });
+
+        this.elements.siteOverwritePolicy?.addEventListener('change', (event) => {
+            this.setSiteOverwritePolicy((event.target as HTMLSelectElement).value);
+        });
+
+        this.elements.clearSiteAnswersBtn?.addEventListener('click', () => {
+            this.clearSiteAnswers();
+        });
+
+        this.elements.newProfileBtn?.addEventListener('click', () => {
+            this.createProfile();
+        });
+
+        this.elements.duplicateProfileBtn?.addEventListener('click', () => {
+            this.duplicateProfile();
+        });
+
+        this.elements.deleteProfileBtn?.addEventListener('click', () => {
+            this.deleteProfile();
+        });
+
+        // Document uploads and removals
+        this.setupDocumentListeners();
+
         // Form change listeners for auto-save
         this.setupFormChangeListeners();
     }
 
+    private setupDocumentListeners(): void {
+        document.querySelectorAll<HTMLInputElement>('input[data-document]').forEach(input => {
+            input.addEventListener('change', () => {
+                const file = input.files?.[0];
+                if (file) {
+                    this.uploadDocument(input.dataset.document as DocumentKind, file);
+                }
+                input.value = '';
+            });
+        });
+
+        document.querySelectorAll<HTMLElement>('[data-document-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.removeDocument(button.dataset.documentRemove as DocumentKind);
+            });
+        });
+    }
+
     private setupFormChangeListeners(): void {
         const container = document.getElementById('personal-tab');
         if (!container) return;
@@ -119,9 +608,9 @@ class PopupManager {
 
     private async fillAllFields(): Promise<void> {
         try {
-            const profileData = this.profiles.personal;
+            const profileData = FieldCipher.readable(this.getActiveProfile()?.data || {});
             
-            if (!profileData || Object.keys(profileData).length === 0) {
+            if (Object.keys(profileData).length === 0) {
                 this.showMessage('No profile data to fill with. Please save some data first.', 'warning');
                 return;
             }
@@ -136,15 +625,27 @@ class PopupManager {
             const message = {
                 action: 'autofill',
                 data: profileData,
-                profileType: this.currentTab
+                profileType: this.activeProfileId
             };
 
+            // The page shows its own panel and holds the fill until the user confirms
+            if (this.settings.reviewBeforeFill) {
+                this.showMessage('Review the fields on the page to continue', 'info');
+            }
+
             // Ensure message is JSON serializable
             const safeMessage = JSON.parse(JSON.stringify(message));
             const response = await chrome.runtime.sendMessage(safeMessage);
             
             if (response?.success) {
-                this.showMessage('Fields filled successfully', 'success');
+                const filled = Number(response.response?.filled) || 0;
+                const frames = Number(response.response?.frames) || 0;
+                const frameNote = frames > 1 ? ` (${frames} frames)` : '';
+                const results: FieldFillResult[] = response.response?.results || [];
+                // Fields the page refused or that had no matching option need the user's attention
+                const needsAttention = results.some(result => result.status === 'noOption' || result.status === 'rejected');
+                const type = needsAttention ? 'warning' : filled > 0 ? 'success' : 'info';
+                this.showMessage(`${response.response?.summary || `Filled ${filled} fields`}${frameNote}`, type);
             } else {
                 this.showMessage(`Autofill failed: ${response?.error || 'Unknown error'}`, 'error');
             }
@@ -154,6 +655,22 @@ class PopupManager {
         }
     }
 
+    private async undoAutofill(): Promise<void> {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'undoAutofill' });
+
+            if (!response?.success) {
+                this.showMessage('Nothing to undo on this page', 'info');
+                return;
+            }
+
+            const restored = Number(response.restored) || 0;
+            this.showMessage(restored > 0 ? `Restored ${restored} fields` : 'Fields were already changed since the fill', restored > 0 ? 'success' : 'info');
+        } catch (error) {
+            this.showMessage('Failed to undo autofill', 'error');
+        }
+    }
+
     private async saveCurrentProfile(): Promise<void> {
         try {
             const profileData = this.collectFormData();
@@ -164,9 +681,10 @@ class PopupManager {
                 return;
             }
 
-            this.profiles.personal = profileData;
-
-            await chrome.storage.sync.set({ profiles: this.profiles });
+            // Values this device can't decrypt aren't in the form; keep them unless they were re-entered
+            const encrypted = FieldCipher.encryptedOnly(this.getActiveProfile()?.data || {});
+            await this.profileStore.saveData(this.activeProfileId, { ...encrypted, ...profileData });
+            this.profiles = await this.profileStore.getAll();
             this.showMessage('Profile saved successfully', 'success');
 
         } catch (error) {
@@ -174,13 +692,239 @@ class PopupManager {
         }
     }
 
+    private async refreshFillSession(): Promise<void> {
+        try {
+            const response = await chrome.runtime.sendMessage({ action: 'getFillSession' });
+            this.updateFillSessionButton(Boolean(response?.session));
+        } catch (error) {
+            this.updateFillSessionButton(false);
+        }
+    }
+
+    private async toggleFillSession(): Promise<void> {
+        try {
+            if (this.sessionActive) {
+                const response = await chrome.runtime.sendMessage({ action: 'endFillSession' });
+                if (response?.success) {
+                    this.updateFillSessionButton(false);
+                    this.showMessage('Fill session ended', 'info');
+                }
+                return;
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                action: 'startFillSession',
+                data: { profileType: this.activeProfileId }
+            });
+
+            if (response?.success) {
+                this.updateFillSessionButton(true);
+                const filled = Number(response.response?.filled) || 0;
+                this.showMessage(`Fill session started (${filled} fields filled)`, 'success');
+            } else {
+                this.showMessage(`Could not start session: ${response?.error || 'Unknown error'}`, 'error');
+            }
+        } catch (error) {
+            this.showMessage('Failed to toggle fill session', 'error');
+        }
+    }
+
+    private updateFillSessionButton(active: boolean): void {
+        this.sessionActive = active;
+        const sessionBtn = this.elements.fillSessionBtn;
+
+        if (sessionBtn) {
+            sessionBtn.textContent = active ? 'End Session' : 'Start Session';
+            sessionBtn.className = active ? 'btn btn-primary' : 'btn btn-secondary';
+        }
+    }
+
+    // Showing a site's bound profile doesn't make it the active profile everywhere else
+    private async switchProfile(id: string, persist: boolean = true): Promise<void> {
+        try {
+            // Don't let a pending auto-save land after the form shows another profile
+            await this.autoSaveProfile();
+
+            if (persist) {
+                await this.profileStore.setActive(id);
+            }
+            this.activeProfileId = id;
+            this.renderProfileSwitcher();
+            this.populateFormFields();
+            await this.loadDocuments();
+        } catch (error) {
+            this.showMessage('Failed to switch profile', 'error');
+        }
+    }
+
+    private async renameProfile(name: string): Promise<void> {
+        if (!name.trim()) {
+            this.renderProfileSwitcher();
+            return;
+        }
+
+        try {
+            await this.profileStore.rename(this.activeProfileId, name);
+            this.profiles = await this.profileStore.getAll();
+            this.renderProfileSwitcher();
+        } catch (error) {
+            this.showMessage('Failed to rename profile', 'error');
+        }
+    }
+
+    private async createProfile(): Promise<void> {
+        try {
+            await this.autoSaveProfile();
+            const profile = await this.profileStore.create(`Profile ${Object.keys(this.profiles).length + 1}`);
+            this.profiles = await this.profileStore.getAll();
+            await this.switchProfile(profile.id);
+            this.showMessage(`Created ${profile.name}`, 'success');
+        } catch (error) {
+            this.showMessage('Failed to create profile', 'error');
+        }
+    }
+
+    private async duplicateProfile(): Promise<void> {
+        try {
+            await this.autoSaveProfile();
+            const profile = await this.profileStore.duplicate(this.activeProfileId);
+            if (!profile) return;
+
+            await chrome.runtime.sendMessage({
+                action: 'copyDocuments',
+                data: { fromProfile: this.activeProfileId, toProfile: profile.id }
+            });
+            this.profiles = await this.profileStore.getAll();
+            await this.switchProfile(profile.id);
+            this.showMessage(`Created ${profile.name}`, 'success');
+        } catch (error) {
+            this.showMessage('Failed to duplicate profile', 'error');
+        }
+    }
+
+    // First click arms the button, a second click within the timeout deletes
+    private async deleteProfile(): Promise<void> {
+        const deleteBtn = this.elements.deleteProfileBtn;
+        if (!deleteBtn) return;
+
+        if (!this.deleteConfirmTimer) {
+            deleteBtn.textContent = 'Confirm';
+            this.deleteConfirmTimer = setTimeout(() => {
+                this.deleteConfirmTimer = null;
+                deleteBtn.textContent = 'Delete';
+            }, DELETE_CONFIRM_TIMEOUT);
+            return;
+        }
+
+        clearTimeout(this.deleteConfirmTimer);
+        this.deleteConfirmTimer = null;
+        deleteBtn.textContent = 'Delete';
+
+        try {
+            const name = this.getActiveProfile()?.name || 'profile';
+            const removed = await this.profileStore.remove(this.activeProfileId);
+            if (!removed) {
+                this.showMessage('The last profile cannot be deleted', 'warning');
+                return;
+            }
+
+            this.profiles = await this.profileStore.getAll();
+            await this.switchProfile(Object.keys(this.profiles)[0] || '');
+            this.showMessage(`Deleted ${name}`, 'info');
+        } catch (error) {
+            this.showMessage('Failed to delete profile', 'error');
+        }
+    }
+
+    private async loadDocuments(): Promise<void> {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                action: 'listDocuments',
+                data: { profileType: this.activeProfileId }
+            });
+            const documents: DocumentInfo[] = response?.data || [];
+
+            (['resume', 'coverLetter'] as DocumentKind[]).forEach(kind => {
+                this.renderDocument(kind, documents.find(entry => entry.kind === kind) || null);
+            });
+        } catch (error) {
+            this.showMessage('Failed to load documents', 'error');
+        }
+    }
+
+    // Files go to the background as data URLs, since runtime messages only carry JSON
+    private async uploadDocument(kind: DocumentKind, file: File): Promise<void> {
+        try {
+            const dataUrl = await this.readAsDataUrl(file);
+            const response = await chrome.runtime.sendMessage({
+                action: 'saveDocument',
+                data: {
+                    profileType: this.activeProfileId,
+                    kind,
+                    name: file.name,
+                    mimeType: file.type,
+                    size: file.size,
+                    dataUrl
+                }
+            });
+
+            if (response?.success) {
+                this.renderDocument(kind, response.data);
+                this.showMessage(`Saved ${file.name}`, 'success');
+            } else {
+                this.showMessage(`Could not save document: ${response?.error || 'Unknown error'}`, 'error');
+            }
+        } catch (error) {
+            this.showMessage('Failed to save document', 'error');
+        }
+    }
+
+    private async removeDocument(kind: DocumentKind): Promise<void> {
+        try {
+            await chrome.runtime.sendMessage({
+                action: 'removeDocument',
+                data: { profileType: this.activeProfileId, kind }
+            });
+            this.renderDocument(kind, null);
+        } catch (error) {
+            this.showMessage('Failed to remove document', 'error');
+        }
+    }
+
+    private renderDocument(kind: DocumentKind, info: DocumentInfo | null): void {
+        const nameEl = document.getElementById(`${kind}DocumentName`);
+        if (!nameEl) return;
+
+        nameEl.textContent = info ? `${info.name} (${Math.ceil(info.size / 1024)} KB)` : 'No file';
+        nameEl.title = info?.name || '';
+        nameEl.classList.toggle('attached', Boolean(info));
+    }
+
+    private readAsDataUrl(file: File): Promise<string> {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(String(reader.result));
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Goes through the stored settings so keys written elsewhere (the active profile) aren't lost
+    private async saveSetting<K extends keyof Settings>(key: K, value: Settings[K]): Promise<void> {
+        try {
+            await storageManager.saveSetting(key, value);
+            this.settings = { ...this.settings, ...(await storageManager.getSettings()) };
+        } catch (error) {
+            this.showMessage('Failed to save setting', 'error');
+        }
+    }
+
     private async toggleExtension(): Promise<void> {
         try {
-            const result = await chrome.storage.local.get('extensionEnabled');
-            const currentState = result.extensionEnabled !== false; // default to true
+            const currentState = (await storageManager.get('extensionEnabled')) !== false; // default to true
             const newState = !currentState;
             
-            await chrome.storage.local.set({ extensionEnabled: newState });
+            await storageManager.set('extensionEnabled', newState);
             
             this.updateToggleButtonState(newState);
             
@@ -208,8 +952,7 @@ class PopupManager {
 
     private async initializeToggleButton(): Promise<void> {
         try {
-            const result = await chrome.storage.local.get('extensionEnabled');
-            const enabled = result.extensionEnabled !== false; // default to true
+            const enabled = (await storageManager.get('extensionEnabled')) !== false; // default to true
             this.updateToggleButtonState(enabled);
         } catch (error) {
             // Default to enabled state
@@ -304,13 +1047,14 @@ class PopupManager {
 
     private async autoSaveProfile(): Promise<void> {
         try {
-            const profileData = this.collectFormData();
-            this.profiles.personal = { ...this.profiles.personal, ...profileData };
-            
-            await chrome.storage.sync.set({ profiles: this.profiles });
+            const profile = this.getActiveProfile();
+            if (!profile) return;
+
+            profile.data = { ...profile.data, ...this.collectFormData() };
+            await this.profileStore.saveData(profile.id, profile.data);
             
         } catch (error) {
-            // Silent fail for auto-save
+            this.showMessage(`Auto-save failed: ${(error as Error).message}`, 'error');
         }
     }
 
@@ -344,6 +1088,11 @@ class PopupManager {
     }
 }
 
+// The popup can close before a batched write goes out
+window.addEventListener('pagehide', () => {
+    storageManager.flush().catch(() => {});
+});
+
 // Initialize popup when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     try {
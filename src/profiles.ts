@@ -0,0 +1,150 @@
+// Named profiles, kept in storage as { [id]: Profile }. Earlier versions stored a
+// single flat { personal: { ...fields } } object, which is converted whenever it's read.
+// Sensitive values are encrypted on write and decrypted on read by FieldCipher.
+import type { FieldType, Profile, Profiles } from '../types/extension';
+import FieldCipher from './field-cipher.js';
+import { storageManager } from './storage.js';
+
+export const DEFAULT_PROFILE_ID = 'personal';
+
+class ProfileStore {
+    private cipher: FieldCipher;
+
+    constructor(cipher: FieldCipher = new FieldCipher()) {
+        this.cipher = cipher;
+    }
+
+    async getAll(): Promise<Profiles> {
+        const profiles = ProfileStore.normalize(await storageManager.get('profiles'));
+
+        for (const profile of Object.values(profiles)) {
+            profile.data = await this.cipher.decryptValues(profile.data);
+        }
+        return profiles;
+    }
+
+    async get(id: string): Promise<Profile | null> {
+        const profiles = await this.getAll();
+        return profiles[id] || null;
+    }
+
+    // Falls back to the first profile when the stored choice was deleted
+    async getActiveId(): Promise<string> {
+        const [profiles, settings] = await Promise.all([this.getAll(), storageManager.getSettings()]);
+        const activeId = settings.activeProfile;
+        return activeId && profiles[activeId] ? activeId : Object.keys(profiles)[0] || DEFAULT_PROFILE_ID;
+    }
+
+    async getActive(): Promise<Profile> {
+        const profiles = await this.getAll();
+        const activeId = await this.getActiveId();
+        return profiles[activeId] || ProfileStore.createEntry(DEFAULT_PROFILE_ID, 'Personal');
+    }
+
+    async setActive(id: string): Promise<void> {
+        await storageManager.saveSetting('activeProfile', id);
+    }
+
+    async create(name: string, data: Partial<FieldType> = {}): Promise<Profile> {
+        const profiles = await this.getAll();
+        const profile = ProfileStore.createEntry(crypto.randomUUID(), name, data);
+        profiles[profile.id] = profile;
+        await this.write(profiles);
+        return profile;
+    }
+
+    async rename(id: string, name: string): Promise<void> {
+        const profiles = await this.getAll();
+        const profile = profiles[id];
+        if (!profile || !name.trim()) return;
+
+        profile.name = name.trim();
+        profile.updatedAt = Date.now();
+        await this.write(profiles);
+    }
+
+    async duplicate(id: string): Promise<Profile | null> {
+        const source = await this.get(id);
+        if (!source) return null;
+        return this.create(`${source.name} (copy)`, { ...source.data });
+    }
+
+    // The last profile can't be deleted, so there's always one to fill with
+    async remove(id: string): Promise<boolean> {
+        const profiles = await this.getAll();
+        if (!profiles[id] || Object.keys(profiles).length <= 1) return false;
+
+        delete profiles[id];
+        await this.write(profiles);
+        return true;
+    }
+
+    async saveData(id: string, data: Partial<FieldType>): Promise<void> {
+        const profiles = await this.getAll();
+        const profile = profiles[id] || ProfileStore.createEntry(id, 'Personal');
+
+        profile.data = data;
+        profile.updatedAt = Date.now();
+        profiles[id] = profile;
+        await this.write(profiles);
+    }
+
+    async put(profile: Profile): Promise<void> {
+        const profiles = await this.getAll();
+        profiles[profile.id] = { ...profile, updatedAt: Date.now() };
+        await this.write(profiles);
+    }
+
+    // Replaces every profile, e.g. on import; sensitive values are encrypted if the setting is on
+    async replaceAll(profiles: unknown): Promise<void> {
+        await this.write(ProfileStore.normalize(profiles));
+    }
+
+    // Writes every profile back so stored values match the current encryption setting
+    async rewrite(): Promise<void> {
+        await this.write(await this.getAll());
+    }
+
+    static normalize(raw: unknown): Profiles {
+        const profiles: Profiles = {};
+
+        if (raw && typeof raw === 'object') {
+            for (const [id, value] of Object.entries(raw as Record<string, any>)) {
+                if (!value || typeof value !== 'object') continue;
+
+                profiles[id] = ProfileStore.isProfile(value)
+                    ? { ...value, id }
+                    : ProfileStore.createEntry(id, ProfileStore.legacyName(id), value);
+            }
+        }
+
+        if (Object.keys(profiles).length === 0) {
+            profiles[DEFAULT_PROFILE_ID] = ProfileStore.createEntry(DEFAULT_PROFILE_ID, 'Personal');
+        }
+
+        return profiles;
+    }
+
+    private static isProfile(value: any): value is Profile {
+        return typeof value.name === 'string' && !!value.data && typeof value.data === 'object';
+    }
+
+    private static legacyName(id: string): string {
+        return id.charAt(0).toUpperCase() + id.slice(1);
+    }
+
+    private static createEntry(id: string, name: string, data: Partial<FieldType> = {}): Profile {
+        const now = Date.now();
+        return { id, name, data, createdAt: now, updatedAt: now };
+    }
+
+    private async write(profiles: Profiles): Promise<void> {
+        const stored: Profiles = {};
+        for (const [id, profile] of Object.entries(profiles)) {
+            stored[id] = { ...profile, data: await this.cipher.encryptValues(profile.data) };
+        }
+        await storageManager.set('profiles', stored);
+    }
+}
+
+export default ProfileStore;
@@ -0,0 +1,133 @@
+// Per-site preferences: which profile a site fills with, and answers the user gave there
+// that differ from the profile. Keyed by hostname, like siteRules.
+// None of the answer fields are sensitive, so unlike profile values they're stored as is.
+import type { FieldTypeName, OverwritePolicy, SitePreference } from '../types/extension';
+import { storageManager } from './storage.js';
+
+// Answers that legitimately differ per site. Identity, contact and demographic fields are
+// left out: an edit there is a one-off fix, not an answer the user chose to keep.
+export const SITE_ANSWER_FIELDS: ReadonlySet<string> = new Set<FieldTypeName>([
+    'company',
+    'jobTitle',
+    'exceptionalWork',
+    'visaSponsorship',
+    'interviewingProcesses'
+]);
+
+class SitePreferenceStore {
+    async getAll(): Promise<Record<string, SitePreference>> {
+        const preferences: Record<string, SitePreference> = (await storageManager.get('sitePreferences')) || {};
+
+        for (const preference of Object.values(preferences)) {
+            preference.overrides = preference.overrides || {};
+        }
+        return preferences;
+    }
+
+    // Replaces every entry, e.g. on import
+    async replaceAll(preferences: Record<string, SitePreference>): Promise<void> {
+        const entries: Record<string, SitePreference> = {};
+        for (const [hostname, preference] of Object.entries(preferences)) {
+            entries[hostname] = { ...preference, overrides: preference.overrides || {} };
+        }
+        await this.write(entries);
+    }
+
+    // An exact hostname entry wins over wildcard hostnames and URL patterns
+    async match(url: string): Promise<SitePreference | null> {
+        let parsed: URL;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+
+        const preferences = Object.values(await this.getAll());
+        return preferences.find(preference => preference.hostname === parsed.hostname) ||
+            preferences.find(preference => SitePreferenceStore.matchesSite(preference, parsed)) ||
+            null;
+    }
+
+    // Shared with site rules, so a rule and a preference saved for the same site always agree.
+    // "*.example.com" covers example.com and all of its subdomains; patterns are globs over the whole URL.
+    static matchesSite(site: { hostname: string; patterns?: string[] }, url: URL): boolean {
+        const hostname = site.hostname.toLowerCase();
+        if (hostname.startsWith('*.')) {
+            const base = hostname.slice(2);
+            if (url.hostname === base || url.hostname.endsWith(`.${base}`)) return true;
+        } else if (hostname && url.hostname === hostname) {
+            return true;
+        }
+        return (site.patterns || []).some(pattern => SitePreferenceStore.globToRegExp(pattern).test(url.href));
+    }
+
+    private static globToRegExp(pattern: string): RegExp {
+        const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        return new RegExp(`^${escaped}$`, 'i');
+    }
+
+    async put(hostname: string, preference: SitePreference): Promise<SitePreference> {
+        return this.update(hostname, existing => {
+            Object.assign(existing, preference, { hostname });
+        });
+    }
+
+    // A null profileId removes the binding but keeps remembered answers
+    async bindProfile(hostname: string, profileId: string | null): Promise<SitePreference> {
+        return this.update(hostname, preference => {
+            if (profileId) {
+                preference.profileId = profileId;
+            } else {
+                delete preference.profileId;
+            }
+        });
+    }
+
+    // A null policy falls back to the global setting
+    async setOverwritePolicy(hostname: string, policy: OverwritePolicy | null): Promise<SitePreference> {
+        return this.update(hostname, preference => {
+            if (policy) {
+                preference.overwritePolicy = policy;
+            } else {
+                delete preference.overwritePolicy;
+            }
+        });
+    }
+
+    async rememberAnswer(hostname: string, fieldType: FieldTypeName, value: string): Promise<SitePreference> {
+        return this.update(hostname, preference => {
+            preference.overrides[fieldType] = value;
+        });
+    }
+
+    async clearAnswers(hostname: string): Promise<SitePreference> {
+        return this.update(hostname, preference => {
+            preference.overrides = {};
+        });
+    }
+
+    private async update(hostname: string, change: (preference: SitePreference) => void): Promise<SitePreference> {
+        const preferences = await this.getAll();
+        const preference: SitePreference = preferences[hostname] || { hostname, overrides: {}, updatedAt: 0 };
+
+        change(preference);
+        preference.updatedAt = Date.now();
+
+        // Entries with nothing left to remember aren't worth the sync quota
+        if (!preference.profileId && !preference.overwritePolicy &&
+            Object.keys(preference.overrides).length === 0 && !preference.patterns?.length) {
+            delete preferences[hostname];
+        } else {
+            preferences[hostname] = preference;
+        }
+
+        await this.write(preferences);
+        return preference;
+    }
+
+    private async write(preferences: Record<string, SitePreference>): Promise<void> {
+        await storageManager.set('sitePreferences', preferences);
+    }
+}
+
+export default SitePreferenceStore;
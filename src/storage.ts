@@ -1,5 +1,4 @@
 import type { 
-  Profile, 
   Settings, 
   CustomField, 
   SiteRule, 
@@ -7,9 +6,14 @@ import type {
   DetectedField 
 } from '../types/extension';
 
-interface EncryptedData {
-  encrypted: number[];
-  iv: number[];
+export type StorageAreaName = 'sync' | 'local' | 'session';
+
+type StorageListener = (changes: { [key: string]: chrome.storage.StorageChange }) => void;
+
+interface PendingWrite {
+  area: StorageAreaName;
+  // undefined removes the key
+  value: any;
 }
 
 interface ExportData {
@@ -24,6 +28,15 @@ interface StorageStats {
   localBytes: number;
   syncQuota: number;
   localQuota: number;
+  // Keys too large for sync, kept on this device only
+  localOnlyKeys: string[];
+}
+
+// Stored under the key itself when its value is split across chunk keys
+interface ChunkManifest {
+  __chunked: true;
+  count: number;
+  hash: string;
 }
 
 interface DetectedFieldsCache {
@@ -33,97 +46,508 @@ interface DetectedFieldsCache {
   timestamp: number;
 }
 
+// User data that follows the syncEnabled setting, along with the schema version that describes it
+// and the vault config its encrypted values need; settings itself always lives in sync storage,
+// since that's where syncEnabled is read from
+export const SYNCABLE_KEYS: readonly string[] = ['profiles', 'customFields', 'siteRules', 'sitePreferences', 'fieldMappings', 'schemaVersion', 'vault'];
+
+// Kept in memory only and cleared when the browser closes
+const SESSION_KEYS: readonly string[] = ['vaultKey', 'fillSessions'];
+
+// Writes made within this window go out as one storage call per area
+const WRITE_BATCH_DELAY = 50;
+
+// Sync values over QUOTA_BYTES_PER_ITEM are stored as "<key>__chunk_<n>" pieces
+const CHUNK_SUFFIX = '__chunk_';
+
+// Local list of sync keys that didn't fit in sync storage and are kept on this device instead
+const LOCAL_ONLY_KEY = 'syncOverflowKeys';
+
+// The one way popup and background reach chrome.storage: it picks the area for each key,
+// caches what it has read, batches writes and lets callers subscribe to changes by key.
+// Content scripts go through background messages instead.
 class StorageManager {
     private syncEnabled: boolean;
-    private encryptionEnabled: boolean;
-    private encryptionKey: ArrayBuffer | null;
+    private ready: Promise<void> | null;
+    private cache: Map<string, any>;
+    private pending: Map<string, PendingWrite>;
+    private inFlight: Map<string, number>;
+    private listeners: Map<string, Set<StorageListener>>;
+    private localOnly: Set<string>;
+    // What storage held at the last read or change, so reassembled values can report an oldValue
+    private committed: Map<string, any>;
+    private flushTimer: ReturnType<typeof setTimeout> | null;
+    private flushing: Promise<void> | null;
+    private waiting: Array<{ resolve: () => void; reject: (error: unknown) => void }>;
 
     constructor() {
         this.syncEnabled = true;
-        this.encryptionEnabled = false;
-        this.encryptionKey = null;
+        this.ready = null;
+        this.cache = new Map();
+        this.pending = new Map();
+        this.inFlight = new Map();
+        this.listeners = new Map();
+        this.localOnly = new Set();
+        this.committed = new Map();
+        this.flushTimer = null;
+        this.flushing = null;
+        this.waiting = [];
     }
 
     async init(): Promise<void> {
-        // Load settings
-        const result = await chrome.storage.sync.get('settings');
+        this.ready ??= this.load();
+        return this.ready;
+    }
+
+    private async load(): Promise<void> {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            this.handleChanges(changes, areaName as StorageAreaName)
+                .catch(error => console.error('Storage change handling failed:', error));
+        });
+
+        const overflow = await chrome.storage.local.get(LOCAL_ONLY_KEY);
+        this.localOnly = new Set(overflow[LOCAL_ONLY_KEY] || []);
+
+        const result = await this.readArea(this.areaFor('settings'), ['settings']);
         const settings = result.settings || {};
-        
+        this.cache.set('settings', settings);
+        this.committed.set('settings', result.settings);
         this.syncEnabled = settings.syncEnabled !== false;
-        this.encryptionEnabled = settings.encryptSensitiveFields || false;
-        
-        if (this.encryptionEnabled && !this.encryptionKey) {
-            await this.loadEncryptionKey();
+    }
+
+    // Generic access
+    async get<T = any>(key: string): Promise<T | undefined> {
+        const values = await this.getMany([key]);
+        return values[key];
+    }
+
+    async getMany(keys: string[]): Promise<{ [key: string]: any }> {
+        await this.init();
+
+        const missing = keys.filter(key => !this.cache.has(key));
+        const byArea = new Map<StorageAreaName, string[]>();
+        missing.forEach(key => {
+            const area = this.areaFor(key);
+            byArea.set(area, [...(byArea.get(area) || []), key]);
+        });
+
+        await Promise.all([...byArea].map(async ([area, areaKeys]) => {
+            const result = await this.readArea(area, areaKeys);
+            areaKeys.forEach(key => this.committed.set(key, result[key]));
+            // Another read or a write may have filled the cache while this one was waiting
+            areaKeys.filter(key => !this.cache.has(key)).forEach(key => this.cache.set(key, result[key]));
+        }));
+
+        // Callers get copies, so changing a result never changes the cache behind everyone's back
+        const values: { [key: string]: any } = {};
+        keys.forEach(key => {
+            const value = this.cache.get(key);
+            if (value !== undefined) {
+                values[key] = structuredClone(value);
+            }
+        });
+        return values;
+    }
+
+    // Resolves once the write has reached chrome.storage
+    async set(key: string, value: any): Promise<void> {
+        return this.setMany({ [key]: value });
+    }
+
+    async setMany(values: { [key: string]: any }): Promise<void> {
+        await this.init();
+
+        for (const [key, value] of Object.entries(values)) {
+            this.cache.set(key, structuredClone(value));
+            this.pending.set(key, { area: this.homeAreaFor(key), value: structuredClone(value) });
         }
+        return this.scheduleFlush();
     }
 
-    private async loadEncryptionKey(): Promise<void> {
-        const result = await chrome.storage.local.get('encryptionKey');
-        this.encryptionKey = result.encryptionKey;
-        
-        if (!this.encryptionKey) {
-            this.encryptionKey = await this.generateEncryptionKey();
-            await chrome.storage.local.set({ encryptionKey: this.encryptionKey });
+    async remove(key: string): Promise<void> {
+        await this.init();
+
+        this.cache.set(key, undefined);
+        this.pending.set(key, { area: this.homeAreaFor(key), value: undefined });
+        return this.scheduleFlush();
+    }
+
+    // Listeners see every change to their keys, whichever context made it
+    subscribe(keys: string | string[], listener: StorageListener): () => void {
+        const keyList = Array.isArray(keys) ? keys : [keys];
+        keyList.forEach(key => {
+            if (!this.listeners.has(key)) {
+                this.listeners.set(key, new Set());
+            }
+            this.listeners.get(key)!.add(listener);
+        });
+        this.init();
+
+        return () => keyList.forEach(key => this.listeners.get(key)?.delete(listener));
+    }
+
+    async flush(): Promise<void> {
+        if (this.flushTimer) {
+            clearTimeout(this.flushTimer);
+            this.flushTimer = null;
+        }
+        // A flush already under way has taken its writes; wait for it before sending the rest
+        while (this.flushing) {
+            await this.flushing;
         }
+        if (this.pending.size === 0) return;
+
+        const writes = [...this.pending];
+        this.pending.clear();
+        writes.forEach(([key]) => this.inFlight.set(key, (this.inFlight.get(key) || 0) + 1));
+
+        this.flushing = this.write(writes).finally(() => {
+            writes.forEach(([key]) => {
+                const count = (this.inFlight.get(key) || 1) - 1;
+                if (count > 0) {
+                    this.inFlight.set(key, count);
+                } else {
+                    this.inFlight.delete(key);
+                }
+            });
+            this.flushing = null;
+        });
+        return this.flushing;
     }
 
-    private async generateEncryptionKey(): Promise<ArrayBuffer> {
-        const key = await crypto.subtle.generateKey(
-            { name: 'AES-GCM', length: 256 }, 
-            true, 
-            ['encrypt', 'decrypt']
-        );
-        return await crypto.subtle.exportKey('raw', key);
+    private scheduleFlush(): Promise<void> {
+        return new Promise((resolve, reject) => {
+            if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => {
+                    this.flushTimer = null;
+                    this.flush().catch(error => console.error('Storage write failed:', error));
+                }, WRITE_BATCH_DELAY);
+            }
+            this.waiting.push({ resolve, reject });
+        });
     }
 
-    // Profile management
-    async getProfiles(): Promise<{ [key: string]: Profile }> {
-        const result = await chrome.storage.sync.get('profiles');
-        return result.profiles || { personal: { personal: {} } };
+    private async write(writes: Array<[string, PendingWrite]>): Promise<void> {
+        const sets = new Map<StorageAreaName, { [key: string]: any }>();
+        const removals = new Map<StorageAreaName, string[]>();
+
+        writes.forEach(([key, { area, value }]) => {
+            if (value === undefined) {
+                removals.set(area, [...(removals.get(area) || []), key]);
+            } else {
+                sets.set(area, { ...(sets.get(area) || {}), [key]: value });
+            }
+        });
+
+        const waiting = this.waiting.splice(0);
+        try {
+            await Promise.all([
+                ...[...sets].map(([area, items]) => area === 'sync' ? this.writeSync(items) : chrome.storage[area].set(items)),
+                ...[...removals].map(([area, keys]) => area === 'sync' ? this.removeSync(keys) : chrome.storage[area].remove(keys))
+            ]);
+            waiting.forEach(({ resolve }) => resolve());
+        } catch (error) {
+            // Reads should see what's actually stored, not the write that failed
+            writes.forEach(([key]) => this.cache.delete(key));
+            waiting.forEach(({ reject }) => reject(error));
+            throw error;
+        }
     }
 
-    async saveProfile(type: string, data: Profile): Promise<void> {
-        const profiles = await this.getProfiles();
-        profiles[type] = data;
-        
-        if (this.syncEnabled) {
-            await chrome.storage.sync.set({ profiles });
-        } else {
-            await chrome.storage.local.set({ profiles });
+    private async handleChanges(changes: { [key: string]: chrome.storage.StorageChange }, areaName: StorageAreaName): Promise<void> {
+        // Another context moved keys to local storage or back; their values have to be read from
+        // the new area rather than taken from this change
+        const moved = new Set<string>();
+        const overflow = changes[LOCAL_ONLY_KEY];
+        if (areaName === 'local' && overflow) {
+            const localOnly = new Set<string>(overflow.newValue || []);
+            [...this.localOnly, ...localOnly]
+                .filter(key => this.localOnly.has(key) !== localOnly.has(key))
+                .forEach(key => moved.add(key));
+            this.localOnly = localOnly;
+        }
+
+        const relevant: { [key: string]: chrome.storage.StorageChange } = {};
+        const chunked = new Set<string>();
+
+        for (const [storedKey, change] of Object.entries(changes)) {
+            const key = storedKey.split(CHUNK_SUFFIX)[0] || storedKey;
+            // A key can linger in the other area while sync is being switched on or off
+            if (this.areaFor(key) !== areaName || moved.has(key)) continue;
+
+            if (key !== storedKey || this.isManifest(change.newValue) || this.isManifest(change.oldValue)) {
+                chunked.add(key);
+            } else {
+                relevant[key] = change;
+            }
+        }
+
+        // Chunked values change piece by piece; report them whole, once every piece has arrived
+        for (const key of chunked) {
+            try {
+                const result = await this.readArea(areaName, [key]);
+                relevant[key] = { oldValue: this.committed.get(key), newValue: result[key] };
+            } catch (error) {
+                // The rest of the pieces will bring another change
+            }
+        }
+
+        for (const key of moved) {
+            try {
+                const result = await this.readArea(this.areaFor(key), [key]);
+                relevant[key] = { oldValue: this.committed.get(key), newValue: result[key] };
+            } catch (error) {
+                // Chunks still arriving in sync; the rest of the pieces will bring another change
+            }
+        }
+
+        for (const [key, change] of Object.entries(relevant)) {
+            this.committed.set(key, change.newValue);
+
+            // Our own newer value wins over the echo of an older write
+            if (!this.pending.has(key) && !this.inFlight.has(key)) {
+                this.cache.set(key, change.newValue);
+            }
+            if (key === 'settings') {
+                this.syncEnabled = change.newValue?.syncEnabled !== false;
+            }
+        }
+
+        const notified = new Set<StorageListener>();
+        Object.keys(relevant).forEach(key => this.listeners.get(key)?.forEach(listener => notified.add(listener)));
+        notified.forEach(listener => {
+            try {
+                listener(relevant);
+            } catch (error) {
+                console.error('Storage listener failed:', error);
+            }
+        });
+    }
+
+    // Where a key belongs
+    private homeAreaFor(key: string): StorageAreaName {
+        if (SESSION_KEYS.includes(key)) return 'session';
+        if (SYNCABLE_KEYS.includes(key)) return this.syncEnabled ? 'sync' : 'local';
+        return key === 'settings' ? 'sync' : 'local';
+    }
+
+    // Where a key is read from: its home, unless it outgrew sync storage. Writes still go
+    // to sync first, so a value that shrinks back under the quota syncs again.
+    private areaFor(key: string): StorageAreaName {
+        const area = this.homeAreaFor(key);
+        return area === 'sync' && this.localOnly.has(key) ? 'local' : area;
+    }
+
+    private async readArea(area: StorageAreaName, keys: string[]): Promise<{ [key: string]: any }> {
+        const result = await chrome.storage[area].get(keys);
+        if (area === 'sync') {
+            for (const key of keys) {
+                if (this.isManifest(result[key])) {
+                    result[key] = await this.assemble(key, result[key]);
+                }
+            }
+        }
+        return result;
+    }
+
+    // Splits what doesn't fit in one sync item; whatever sync refuses falls back to local storage
+    private async writeSync(items: { [key: string]: any }): Promise<void> {
+        const keys = Object.keys(items);
+        const staleChunks = await this.chunkKeysOf(keys);
+
+        const encoded = new Map<string, { [key: string]: any }>();
+        for (const key of keys) {
+            encoded.set(key, await this.encodeForSync(key, items[key]));
+        }
+
+        try {
+            await chrome.storage.sync.set(Object.assign({}, ...encoded.values()));
+        } catch (error) {
+            if (!this.isQuotaError(error)) throw error;
+
+            // Find out which values sync can't take by writing each on its own
+            for (const [key, keyItems] of encoded) {
+                try {
+                    await chrome.storage.sync.set(keyItems);
+                } catch (error) {
+                    if (!this.isQuotaError(error)) throw error;
+                    await this.overflow(key, items[key]);
+                    encoded.delete(key);
+                }
+            }
+        }
+
+        const written = [...encoded.values()].flatMap(keyItems => Object.keys(keyItems));
+        const leftover = staleChunks.filter(chunkKey => {
+            const key = chunkKey.split(CHUNK_SUFFIX)[0] || chunkKey;
+            return encoded.has(key) && !written.includes(chunkKey);
+        });
+        if (leftover.length > 0) {
+            await chrome.storage.sync.remove(leftover);
+        }
+        await this.clearOverflow([...encoded.keys()]);
+    }
+
+    private async removeSync(keys: string[]): Promise<void> {
+        await chrome.storage.sync.remove([...keys, ...await this.chunkKeysOf(keys)]);
+        await this.clearOverflow(keys);
+    }
+
+    // Sync keeps its last value for other devices; this device reads the local copy until a write fits again.
+    // The popup lists these keys from getStorageStats as saved on this device only.
+    private async overflow(key: string, value: any): Promise<void> {
+        this.localOnly.add(key);
+        await chrome.storage.local.set({ [key]: value, [LOCAL_ONLY_KEY]: [...this.localOnly] });
+    }
+
+    private async clearOverflow(keys: string[]): Promise<void> {
+        const cleared = keys.filter(key => this.localOnly.delete(key));
+        if (cleared.length === 0) return;
+
+        // The list goes first, so other contexts already read these keys from sync when the local copies disappear
+        await chrome.storage.local.set({ [LOCAL_ONLY_KEY]: [...this.localOnly] });
+        await chrome.storage.local.remove(cleared);
+    }
+
+    private async encodeForSync(key: string, value: any): Promise<{ [key: string]: any }> {
+        if (this.itemBytes(key, value) <= chrome.storage.sync.QUOTA_BYTES_PER_ITEM) {
+            return { [key]: value };
+        }
+
+        const serialized = JSON.stringify(value);
+        const chunks = this.split(key, serialized);
+        const manifest: ChunkManifest = { __chunked: true, count: chunks.length, hash: await this.hash(serialized) };
+
+        const items: { [key: string]: any } = { [key]: manifest };
+        chunks.forEach((chunk, index) => {
+            items[`${key}${CHUNK_SUFFIX}${index}`] = chunk;
+        });
+        return items;
+    }
+
+    private split(key: string, serialized: string): string[] {
+        const limit = chrome.storage.sync.QUOTA_BYTES_PER_ITEM;
+        const chunks: string[] = [];
+
+        let start = 0;
+        while (start < serialized.length) {
+            const chunkKey = `${key}${CHUNK_SUFFIX}${chunks.length}`;
+            let end = Math.min(serialized.length, start + limit);
+            // Escapes and multi-byte characters take more than a byte each; shrink until the item fits
+            while (this.itemBytes(chunkKey, serialized.slice(start, end)) > limit) {
+                end = start + Math.floor((end - start) * 0.9);
+            }
+            // Keep surrogate pairs together
+            if (end < serialized.length && /[\uD800-\uDBFF]/.test(serialized.charAt(end - 1))) {
+                end--;
+            }
+            chunks.push(serialized.slice(start, end));
+            start = end;
+        }
+        return chunks;
+    }
+
+    // A missing or mismatched piece usually means another device's write has only partly synced
+    private async assemble(key: string, manifest: ChunkManifest): Promise<any> {
+        const chunkKeys = Array.from({ length: manifest.count }, (_, index) => `${key}${CHUNK_SUFFIX}${index}`);
+        const chunks = await chrome.storage.sync.get(chunkKeys);
+
+        const serialized = chunkKeys.map(chunkKey => chunks[chunkKey]).join('');
+        if (chunkKeys.some(chunkKey => typeof chunks[chunkKey] !== 'string') || await this.hash(serialized) !== manifest.hash) {
+            throw new Error(`Stored "${key}" is incomplete or damaged`);
+        }
+        return JSON.parse(serialized);
+    }
+
+    // Chunk keys currently stored for these keys
+    private async chunkKeysOf(keys: string[]): Promise<string[]> {
+        const stored = await chrome.storage.sync.get(keys);
+        return keys.flatMap(key => this.isManifest(stored[key])
+            ? Array.from({ length: stored[key].count }, (_, index) => `${key}${CHUNK_SUFFIX}${index}`)
+            : []);
+    }
+
+    private isManifest(value: any): value is ChunkManifest {
+        return Boolean(value) && typeof value === 'object' && value.__chunked === true;
+    }
+
+    // chrome.storage.sync counts the key plus the value's JSON against QUOTA_BYTES_PER_ITEM
+    private itemBytes(key: string, value: any): number {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+    }
+
+    private async hash(text: string): Promise<string> {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Also covers the write rate limits; the value is safe locally and the next write tries sync again
+    private isQuotaError(error: unknown): boolean {
+        return /quota/i.test(error instanceof Error ? error.message : String(error));
+    }
+
+    // For a key an older version kept in another area. Moves it where it belongs now, unless
+    // a value is already there (e.g. synced from another device), which wins.
+    async adopt(key: string, area: StorageAreaName): Promise<void> {
+        await this.init();
+        if (this.areaFor(key) === area) return;
+
+        const stored = await chrome.storage[area].get(key);
+        if (stored[key] === undefined) return;
+
+        if ((await this.get(key)) === undefined) {
+            await this.set(key, stored[key]);
         }
+        await chrome.storage[area].remove(key);
     }
 
-    async getProfile(type: string): Promise<Profile> {
-        const profiles = await this.getProfiles();
-        return profiles[type] || { personal: {} };
+    // Moves user data to the newly chosen area before the setting flips
+    async setSyncEnabled(enabled: boolean): Promise<void> {
+        await this.init();
+        if (enabled === this.syncEnabled) return;
+
+        const values = await this.getMany([...SYNCABLE_KEYS]);
+        const from: StorageAreaName = enabled ? 'local' : 'sync';
+        const to: StorageAreaName = enabled ? 'sync' : 'local';
+
+        await this.flush();
+        if (to === 'sync') {
+            await this.writeSync(values);
+        } else {
+            await chrome.storage.local.set(values);
+        }
+        this.syncEnabled = enabled;
+        await this.saveSetting('syncEnabled', enabled);
+        if (from === 'sync') {
+            await this.removeSync([...SYNCABLE_KEYS]);
+        } else {
+            await chrome.storage.local.remove([...SYNCABLE_KEYS]);
+        }
     }
 
     // Settings management
     async getSettings(): Promise<Settings> {
-        const result = await chrome.storage.sync.get('settings');
-        return result.settings || {};
+        return (await this.get<Settings>('settings')) || ({} as Settings);
     }
 
-    async saveSetting(key: keyof Settings, value: any): Promise<void> {
+    async saveSetting<K extends keyof Settings>(key: K, value: Settings[K]): Promise<void> {
         const settings = await this.getSettings();
         settings[key] = value;
-        await chrome.storage.sync.set({ settings });
+        await this.set('settings', settings);
     }
 
     // Custom fields management
     async getCustomFields(): Promise<CustomField[]> {
-        const result = await chrome.storage.sync.get('customFields');
-        return result.customFields || [];
+        return (await this.get<CustomField[]>('customFields')) || [];
     }
 
     async saveCustomFields(fields: CustomField[]): Promise<void> {
-        await chrome.storage.sync.set({ customFields: fields });
+        await this.set('customFields', fields);
     }
 
     // Site rules management
     async getSiteRules(hostname?: string): Promise<{ [key: string]: SiteRule } | SiteRule | null> {
-        const result = await chrome.storage.sync.get('siteRules');
-        const allRules = result.siteRules || {};
+        const allRules = (await this.get<{ [key: string]: SiteRule }>('siteRules')) || {};
         
         if (hostname) {
             return allRules[hostname] || null;
@@ -135,42 +559,40 @@ class StorageManager {
     async saveSiteRules(hostname: string, rules: SiteRule): Promise<void> {
         const allRules = await this.getSiteRules() as { [key: string]: SiteRule };
         allRules[hostname] = rules;
-        await chrome.storage.sync.set({ siteRules: allRules });
+        await this.set('siteRules', allRules);
     }
 
     // Field mappings
     async getFieldMappings(): Promise<{ [key: string]: FieldMapping }> {
-        const result = await chrome.storage.sync.get('fieldMappings');
-        return result.fieldMappings || {};
+        return (await this.get<{ [key: string]: FieldMapping }>('fieldMappings')) || {};
     }
 
     async saveFieldMapping(detectedField: string, mappedField: FieldMapping): Promise<void> {
         const mappings = await this.getFieldMappings();
         mappings[detectedField] = mappedField;
-        await chrome.storage.sync.set({ fieldMappings: mappings });
+        await this.set('fieldMappings', mappings);
     }
 
     // Detected fields cache
     async getLastDetectedFields(): Promise<DetectedFieldsCache | null> {
-        const result = await chrome.storage.local.get('lastDetectedFields');
-        return result.lastDetectedFields || null;
+        return (await this.get<DetectedFieldsCache>('lastDetectedFields')) || null;
     }
 
     async saveDetectedFields(tabId: number, url: string, fields: DetectedField[]): Promise<void> {
-        await chrome.storage.local.set({
-            lastDetectedFields: {
-                tabId,
-                url,
-                fields,
-                timestamp: Date.now()
-            }
+        await this.set('lastDetectedFields', {
+            tabId,
+            url,
+            fields,
+            timestamp: Date.now()
         });
     }
 
     // Import/Export functionality
     async exportData(): Promise<ExportData> {
+        await this.flush();
+        const syncKeys = Object.keys(await chrome.storage.sync.get()).filter(key => !key.includes(CHUNK_SUFFIX));
         const [syncData, localData] = await Promise.all([
-            chrome.storage.sync.get(),
+            this.readArea('sync', syncKeys),
             chrome.storage.local.get()
         ]);
         
@@ -191,106 +613,36 @@ class StorageManager {
         if (data.sync) {
             const filteredSync = { ...data.sync };
             delete filteredSync.exportDate;
-            await chrome.storage.sync.set(filteredSync);
+            delete filteredSync.vault;
+            await this.setMany(filteredSync);
         }
         
         // Import local data (excluding sensitive keys)
         if (data.local) {
             const filteredLocal = { ...data.local };
             delete filteredLocal.encryptionKey;
-            await chrome.storage.local.set(filteredLocal);
+            delete filteredLocal.vault;
+            delete filteredLocal[LOCAL_ONLY_KEY];
+            await this.setMany(filteredLocal);
         }
-        
-        // Reinitialize
-        await this.init();
-    }
-
-    // Data encryption utilities
-    async encryptData(data: any): Promise<any> {
-        if (!this.encryptionEnabled || !this.encryptionKey) {
-            return data;
-        }
-        
-        try {
-            const key = await crypto.subtle.importKey(
-                'raw', 
-                this.encryptionKey, 
-                { name: 'AES-GCM' }, 
-                false, 
-                ['encrypt']
-            );
-            
-            const iv = crypto.getRandomValues(new Uint8Array(12));
-            const encodedData = new TextEncoder().encode(JSON.stringify(data));
-            const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encodedData);
-            
-            return {
-                encrypted: Array.from(new Uint8Array(encrypted)),
-                iv: Array.from(iv)
-            };
-        } catch (error) {
-            console.error('Encryption failed:', error);
-            return data;
-        }
-    }
-
-    async decryptData(encryptedData: any): Promise<any> {
-        if (!encryptedData.encrypted || !encryptedData.iv) {
-            return encryptedData;
-        }
-        
-        try {
-            const key = await crypto.subtle.importKey(
-                'raw', 
-                this.encryptionKey!, 
-                { name: 'AES-GCM' }, 
-                false, 
-                ['decrypt']
-            );
-            
-            const decrypted = await crypto.subtle.decrypt(
-                {
-                    name: 'AES-GCM',
-                    iv: new Uint8Array(encryptedData.iv)
-                }, 
-                key, 
-                new Uint8Array(encryptedData.encrypted)
-            );
-            
-            const decodedData = new TextDecoder().decode(decrypted);
-            return JSON.parse(decodedData);
-        } catch (error) {
-            console.error('Decryption failed:', error);
-            return encryptedData;
-        }
-    }
-
-    // Storage monitoring
-    setupStorageMonitoring(): void {
-        chrome.storage.onChanged.addListener((changes, namespace) => {
-            console.log(`Storage changed in ${namespace}:`, changes);
-            
-            // Notify other parts of the extension about storage changes
-            chrome.runtime.sendMessage({
-                type: 'storageChanged',
-                namespace,
-                changes
-            }).catch(() => {
-                // Ignore if no listeners
-            });
-        });
     }
 
     // Clear all data
     async clearAllData(): Promise<void> {
+        await this.flush();
         await Promise.all([
             chrome.storage.sync.clear(),
             chrome.storage.local.clear()
         ]);
+        this.cache.clear();
+        this.committed.clear();
+        this.localOnly.clear();
     }
 
     // Storage statistics
     async getStorageStats(): Promise<StorageStats> {
+        await this.init();
+        await this.flush();
         const [sync, local] = await Promise.all([
             chrome.storage.sync.getBytesInUse(),
             chrome.storage.local.getBytesInUse()
@@ -300,22 +652,15 @@ class StorageManager {
             syncBytes: sync,
             localBytes: local,
             syncQuota: chrome.storage.sync.QUOTA_BYTES,
-            localQuota: chrome.storage.local.QUOTA_BYTES
+            localQuota: chrome.storage.local.QUOTA_BYTES,
+            localOnlyKeys: [...this.localOnly]
         };
     }
 }
 
-// Create global instance
+// One instance per extension context; the cache and subscriptions belong to it
 const storageManager = new StorageManager();
 
-// Initialize when loaded
-if (typeof chrome !== 'undefined' && chrome.storage) {
-    storageManager.init().then(() => {
-        storageManager.setupStorageMonitoring();
-        console.log('Storage manager initialized');
-    });
-}
-
 // Make available globally
 if (typeof window !== 'undefined') {
     (window as any).storageManager = storageManager;
@@ -326,4 +671,5 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = StorageManager;
 }
 
-export default StorageManager;
\ No newline at end of file
+export { storageManager };
+export default StorageManager;
@@ -0,0 +1,178 @@
+// Optional master password. The AES key is derived from the password with PBKDF2 and only
+// ever kept in chrome.storage.session, which stays in memory, is hidden from content scripts
+// and is cleared when the browser closes. Storage holds just the salt and a verifier, which
+// sync along with the values they protect so other devices unlock with the same password.
+import type { VaultConfig } from '../types/extension';
+import { storageManager } from './storage.js';
+
+export const AUTO_LOCK_ALARM = 'vault-auto-lock';
+
+export const DEFAULT_AUTO_LOCK_MINUTES = 15;
+
+const PBKDF2_ITERATIONS = 310000;
+
+const SALT_BYTES = 16;
+
+const IV_BYTES = 12;
+
+// Encrypted at setup; decrypting it again is how a password is checked
+const VERIFIER_TEXT = 'pii-autofill-vault';
+
+class Vault {
+    async getConfig(): Promise<VaultConfig | null> {
+        return (await storageManager.get<VaultConfig>('vault')) || null;
+    }
+
+    async isEnabled(): Promise<boolean> {
+        return (await this.getConfig()) !== null;
+    }
+
+    async isLocked(): Promise<boolean> {
+        return await this.isEnabled() && (await this.getKey()) === null;
+    }
+
+    async getKey(): Promise<CryptoKey | null> {
+        const vaultKey = await storageManager.get<string>('vaultKey');
+        if (!vaultKey) return null;
+
+        return crypto.subtle.importKey(
+            'raw',
+            this.fromBase64(vaultKey),
+            { name: 'AES-GCM' },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    async enable(password: string, autoLockMinutes: number): Promise<void> {
+        if (await this.isEnabled()) {
+            throw new Error('A master password is already set');
+        }
+        if (!password) {
+            throw new Error('Password cannot be empty');
+        }
+
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+        const key = await this.deriveKey(password, salt, PBKDF2_ITERATIONS);
+        const verifier = await this.encryptWith(key, VERIFIER_TEXT);
+
+        const config: VaultConfig = {
+            salt: this.toBase64(salt),
+            iterations: PBKDF2_ITERATIONS,
+            verifier
+        };
+        await storageManager.set('vault', config);
+        await this.holdKey(key, autoLockMinutes);
+    }
+
+    // Returns false for a wrong password rather than throwing
+    async unlock(password: string, autoLockMinutes: number): Promise<boolean> {
+        const key = await this.verify(password);
+        if (!key) return false;
+
+        await this.holdKey(key, autoLockMinutes);
+        return true;
+    }
+
+    async lock(): Promise<void> {
+        await storageManager.remove('vaultKey');
+        await chrome.alarms.clear(AUTO_LOCK_ALARM);
+    }
+
+    async checkPassword(password: string): Promise<boolean> {
+        return (await this.verify(password)) !== null;
+    }
+
+    async disable(password: string): Promise<boolean> {
+        if (!await this.verify(password)) return false;
+
+        await this.lock();
+        await storageManager.remove('vault');
+        return true;
+    }
+
+    // Pushes the auto-lock back; called whenever the unlocked vault is used
+    async touch(autoLockMinutes: number): Promise<void> {
+        if (await this.getKey()) {
+            await chrome.alarms.create(AUTO_LOCK_ALARM, { delayInMinutes: autoLockMinutes });
+        }
+    }
+
+    async encrypt(plaintext: string): Promise<{ iv: string; data: string }> {
+        const key = await this.getKey();
+        if (!key) throw new Error('Vault is locked');
+        return this.encryptWith(key, plaintext);
+    }
+
+    async decrypt(payload: { iv: string; data: string }): Promise<string> {
+        const key = await this.getKey();
+        if (!key) throw new Error('Vault is locked');
+        return this.decryptWith(key, payload);
+    }
+
+    private async verify(password: string): Promise<CryptoKey | null> {
+        const config = await this.getConfig();
+        if (!config || !password) return null;
+
+        const key = await this.deriveKey(password, this.fromBase64(config.salt), config.iterations);
+        try {
+            return await this.decryptWith(key, config.verifier) === VERIFIER_TEXT ? key : null;
+        } catch {
+            // AES-GCM rejects the tag when the key is wrong
+            return null;
+        }
+    }
+
+    private async holdKey(key: CryptoKey, autoLockMinutes: number): Promise<void> {
+        const raw = await crypto.subtle.exportKey('raw', key);
+        await storageManager.set('vaultKey', this.toBase64(new Uint8Array(raw)));
+        await chrome.alarms.create(AUTO_LOCK_ALARM, { delayInMinutes: autoLockMinutes });
+    }
+
+    private async deriveKey(password: string, salt: Uint8Array<ArrayBuffer>, iterations: number): Promise<CryptoKey> {
+        const material = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    private async encryptWith(key: CryptoKey, plaintext: string): Promise<{ iv: string; data: string }> {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const encrypted = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+        return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(encrypted)) };
+    }
+
+    private async decryptWith(key: CryptoKey, payload: { iv: string; data: string }): Promise<string> {
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.fromBase64(payload.iv) },
+            key,
+            this.fromBase64(payload.data)
+        );
+        return new TextDecoder().decode(decrypted);
+    }
+
+    private toBase64(bytes: Uint8Array): string {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary);
+    }
+
+    private fromBase64(value: string): Uint8Array<ArrayBuffer> {
+        return Uint8Array.from(atob(value), char => char.charCodeAt(0));
+    }
+}
+
+export default Vault;
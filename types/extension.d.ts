@@ -23,6 +23,11 @@ export interface FieldType {
   email: string;
   phone: string;
   location: string;
+  addressLine1: string;
+  addressLine2: string;
+  city: string;
+  state: string;
+  postalCode: string;
   country: string;
   company: string;
   jobTitle: string;
@@ -42,6 +47,23 @@ export interface FieldType {
 
 export type FieldTypeName = keyof FieldType;
 
+// Targets that are composed from or split out of profile values rather than stored directly
+export type CompositeFieldName =
+  | 'fullName'
+  | 'phoneCountryCode'
+  | 'phoneNational'
+  | 'phoneAreaCode'
+  | 'phoneLocal'
+  | 'phoneLocalPrefix'
+  | 'phoneLocalSuffix';
+
+export type DetectedFieldName = FieldTypeName | CompositeFieldName;
+
+export interface FieldSegment {
+  index: number;
+  lengths: number[];
+}
+
 export interface DetectedField {
   element: HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement;
   type: FieldTypeName;
@@ -51,11 +73,12 @@ export interface DetectedField {
 }
 
 export interface DetectionResult {
-  type: FieldTypeName;
+  type: DetectedFieldName;
   confidence: 'high' | 'medium' | 'low' | 'none' | 'learned';
   score?: number;
   isLearned?: boolean;
-  method: 'autocomplete' | 'type' | 'pattern' | 'enhanced' | 'ml';
+  method: 'autocomplete' | 'type' | 'pattern' | 'enhanced' | 'ml' | 'learned' | 'rule';
+  segment?: FieldSegment;
   context?: DetectionContext;
 }
 
@@ -73,6 +96,7 @@ export interface LearningData {
   correctedType: string;
   signals: any;
   timestamp: number;
+  rejectedTypes?: string[];
 }
 
 export interface CustomField {
@@ -82,12 +106,6 @@ export interface CustomField {
   required?: boolean;
 }
 
-export interface SiteRule {
-  patterns: string[];
-  fields: { [selector: string]: any };
-  skipFields?: string[];
-}
-
 export interface FieldMapping {
   from: string;
   to: string;
@@ -103,14 +121,50 @@ export interface FormContext {
 }
 
 export interface Profile {
-  personal: Partial<FieldType>;
+  id: string;
+  name: string;
+  data: Partial<FieldType>;
+  createdAt: number;
+  updatedAt: number;
 }
 
+export type Profiles = Record<string, Profile>;
+
 export interface Settings {
   autoDetectFields: boolean;
   debugMode: boolean;
+  activeProfile?: string;
+  reviewBeforeFill?: boolean;
+  inlineSuggestions?: boolean;
+  fillNotifications?: boolean;
+  overwritePolicy?: OverwritePolicy;
+  vaultAutoLockMinutes?: number;
+  encryptSensitiveFields?: boolean;
+  syncEnabled?: boolean;
+}
+
+// Outcome of bringing stored or imported data up to the current schema version
+export interface MigrationReport {
+  from: number;
+  to: number;
+  applied: string[];
+  error?: string;
+  at: number;
 }
 
+// Master password setup, synced with the data it encrypts. The derived key itself is never stored.
+export interface VaultConfig {
+  salt: string;
+  iterations: number;
+  verifier: { iv: string; data: string };
+}
+
+// How much of a page one fill covers: all of it, or the form around the clicked or focused field
+export type FillScope = 'page' | 'clickedForm' | 'focusedForm';
+
+// Which fields that already hold a value a fill may replace
+export type OverwritePolicy = 'empty' | 'autofilled' | 'always';
+
 // Performance Configuration
 export interface PerformanceConfig {
   debounceDelay: number;
@@ -202,13 +256,25 @@ export interface DetectionContext {
 // Site Rules Types
 export interface SiteRule {
   hostname: string;
-  selectors: Record<FieldTypeName, string>;
-  delays: Record<FieldTypeName, number>;
-  customHandlers?: Record<FieldTypeName, string>;
+  patterns?: string[];
+  selectors: Partial<Record<FieldTypeName, string>>;
+  delays: Partial<Record<FieldTypeName, number>>;
+  customHandlers?: Partial<Record<FieldTypeName, string>>;
   exclusions?: string[];
+  steps?: StepInfo[];
   metadata?: SiteRuleMetadata;
 }
 
+// Per-site choices, stored next to siteRules and matched the same way
+export interface SitePreference {
+  hostname: string;
+  patterns?: string[];
+  profileId?: string;
+  overwritePolicy?: OverwritePolicy;
+  overrides: Partial<FieldType>;
+  updatedAt: number;
+}
+
 export interface FieldConfig {
   type: string;
   priority: 'low' | 'medium' | 'high';
@@ -250,7 +316,14 @@ export interface AutofillMessage extends MessageRequest {
   action: 'autofill';
   data: Partial<FieldType>;
   fields?: DetectedField[];
-  profileType?: keyof Profile;
+  profileType?: string;
+  scope?: FillScope;
+}
+
+export interface AutofillCompleteMessage extends MessageRequest {
+  action: 'autofillComplete';
+  fillId: string;
+  report: FillReport;
 }
 
 export interface DetectionMessage extends MessageRequest {
@@ -259,10 +332,45 @@ export interface DetectionMessage extends MessageRequest {
 
 export interface StorageMessage extends MessageRequest {
   action: 'saveProfile' | 'loadProfile' | 'clearCache';
-  profileType?: keyof Profile;
+  profileType?: string;
   data?: Partial<FieldType>;
 }
 
+// Files kept alongside a profile (IndexedDB, never sync) for upload fields
+export type DocumentKind = 'resume' | 'coverLetter';
+
+export interface StoredDocument {
+  profileType: string;
+  kind: DocumentKind;
+  name: string;
+  mimeType: string;
+  size: number;
+  dataUrl: string;
+  updatedAt: number;
+}
+
+export type DocumentInfo = Omit<StoredDocument, 'dataUrl'>;
+
+// What happened to each detected field during one fill, reported back to the popup
+export type FieldFillStatus = 'filled' | 'hidden' | 'noValue' | 'hasValue' | 'noOption' | 'rejected';
+
+export interface FieldFillResult {
+  fieldType: string;
+  label: string;
+  status: FieldFillStatus;
+}
+
+export interface FillReport {
+  filled: number;
+  results: FieldFillResult[];
+}
+
+export interface FillSession {
+  profileType: string;
+  hostname: string;
+  startedAt: number;
+}
+
 export interface UpdateMessage extends MessageRequest {
   action: 'checkForUpdates' | 'startUpdate';
 }